@@ -0,0 +1,127 @@
+/**
+ * Image adjustments before calibration
+ * Geometry (crop, flip, rotation by any angle), tone (brightness, contrast, gamma) and
+ * skew estimation. Pure functions; GraphDigitizer renders the result into a new image
+ * and moves its pixel-space state along with adjustmentGeometry's mapping.
+ */
+
+// Neutral settings: applying them leaves the image unchanged
+const DEFAULT_ADJUSTMENTS = {
+  crop: null, // { x1, y1, x2, y2 } in image pixels, applied first
+  flipH: false,
+  flipV: false,
+  rotate: 0, // degrees clockwise, applied last; the canvas grows to fit the rotated image
+  brightness: 0, // -100 to 100
+  contrast: 0, // -100 to 100
+  gamma: 1 // 0.2 to 5, above 1 brightens mid tones
+};
+
+// Output size and the canvas-space affine map { a, b, c, d, e, f } taking a source
+// point (x, y) to (a x + c y + e, b x + d y + f) in the adjusted image, in the order
+// crop, flip, rotate. Same layout as CanvasRenderingContext2D.setTransform.
+function adjustmentGeometry(width, height, options) {
+  const crop = options.crop || { x1: 0, y1: 0, x2: width, y2: height };
+  const cx1 = Math.max(0, Math.round(Math.min(crop.x1, crop.x2)));
+  const cy1 = Math.max(0, Math.round(Math.min(crop.y1, crop.y2)));
+  const cw = Math.max(1, Math.min(width, Math.round(Math.max(crop.x1, crop.x2))) - cx1);
+  const ch = Math.max(1, Math.min(height, Math.round(Math.max(crop.y1, crop.y2))) - cy1);
+
+  const angle = (options.rotate || 0) * Math.PI / 180;
+  // Snap the trig of right angles so 90° turns stay pixel exact
+  const snap = v => (Math.abs(v) < 1e-12 ? 0 : v);
+  const cos = snap(Math.cos(angle)), sin = snap(Math.sin(angle));
+  const outW = Math.max(1, Math.round(Math.abs(cw * cos) + Math.abs(ch * sin)));
+  const outH = Math.max(1, Math.round(Math.abs(cw * sin) + Math.abs(ch * cos)));
+
+  // Around the crop center: flip, rotate, then move to the output center
+  const fx = options.flipH ? -1 : 1, fy = options.flipV ? -1 : 1;
+  const a = cos * fx, b = sin * fx, c = -sin * fy, d = cos * fy;
+  const ox = cx1 + cw / 2, oy = cy1 + ch / 2;
+  return {
+    width: outW,
+    height: outH,
+    matrix: { a, b, c, d, e: outW / 2 - a * ox - c * oy, f: outH / 2 - b * ox - d * oy }
+  };
+}
+
+// Map a point through adjustmentGeometry's matrix
+function applyAdjustmentMatrix(m, x, y) {
+  return { x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f };
+}
+
+// 256-entry lookup table for gamma, then contrast around mid grey, then brightness
+function toneCurve({ brightness = 0, contrast = 0, gamma = 1 }) {
+  const lut = new Uint8ClampedArray(256);
+  const factor = Math.pow((100 + contrast) / 100, 2);
+  const offset = brightness * 2.55;
+  for (let v = 0; v < 256; v++) {
+    const g = 255 * Math.pow(v / 255, 1 / gamma);
+    lut[v] = (g - 127.5) * factor + 127.5 + offset;
+  }
+  return lut;
+}
+
+// True when the options change the tone at all
+function hasToneAdjustment(options) {
+  return (options.brightness || 0) !== 0 || (options.contrast || 0) !== 0 || (options.gamma || 1) !== 1;
+}
+
+// Apply the tone curve to an RGBA buffer in place (alpha untouched)
+function applyTone(pixels, options) {
+  const lut = toneCurve(options);
+  for (let p = 0; p < pixels.length; p += 4) {
+    pixels[p] = lut[pixels[p]];
+    pixels[p + 1] = lut[pixels[p + 1]];
+    pixels[p + 2] = lut[pixels[p + 2]];
+  }
+}
+
+// Tilt of the image's long straight lines (axes, frame, grid) in degrees clockwise,
+// within ±maxAngle. Dark pixels are projected across the direction of each candidate
+// angle, horizontally and vertically; the projection is sharpest when the lines lie
+// along it. Rotating by the negated result levels the plot. 0 when nothing is dark.
+function estimateSkew(pixels, width, height, { maxAngle = 10, darkThreshold = 128, maxSamples = 40000 } = {}) {
+  const xs = [], ys = [];
+  let dark = 0;
+  for (let i = 0; i < width * height; i++) {
+    const p = i * 4;
+    if (0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2] < darkThreshold) dark++;
+  }
+  if (dark === 0) return 0;
+  const stride = Math.max(1, Math.ceil(dark / maxSamples));
+  for (let i = 0, n = 0; i < width * height; i++) {
+    const p = i * 4;
+    if (0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2] >= darkThreshold) continue;
+    if (n++ % stride === 0) {
+      xs.push(i % width);
+      ys.push(Math.floor(i / width));
+    }
+  }
+
+  const span = Math.ceil(Math.hypot(width, height)) + 2;
+  const rows = new Float64Array(2 * span), cols = new Float64Array(2 * span);
+  const score = (deg) => {
+    const t = deg * Math.PI / 180, cos = Math.cos(t), sin = Math.sin(t);
+    rows.fill(0);
+    cols.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      rows[Math.round(ys[i] * cos - xs[i] * sin) + span]++;
+      cols[Math.round(xs[i] * cos + ys[i] * sin) + span]++;
+    }
+    let sum = 0;
+    for (let i = 0; i < rows.length; i++) sum += rows[i] * rows[i] + cols[i] * cols[i];
+    return sum;
+  };
+  const search = (from, to, step) => {
+    let best = 0, bestScore = -1;
+    for (let deg = from; deg <= to + 1e-9; deg += step) {
+      const s = score(deg);
+      if (s > bestScore) { bestScore = s; best = deg; }
+    }
+    return best;
+  };
+
+  const coarse = search(-maxAngle, maxAngle, 0.5);
+  const fine = search(coarse - 0.5, coarse + 0.5, 0.05);
+  return Math.round(fine * 100) / 100;
+}
@@ -6,6 +6,8 @@
 document.addEventListener('DOMContentLoaded', () => {
   const canvas = document.getElementById('graph-canvas');
   const digitizer = new GraphDigitizer(canvas);
+  const viewport = new CanvasViewport(canvas, document.querySelector('.canvas-wrapper'), document.getElementById('loupe'));
+  viewport.hasImage = () => !!digitizer.image;
 
   // Stats: tracked by GitHub Traffic Analytics (repo owner only)
   // Go to: github.com/huangziyuan10-a11y/graph-digitizer-web > Insights > Traffic
@@ -43,27 +45,102 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   function handleFile(file) {
+    if (file.name.toLowerCase().endsWith('.json')) {
+      openProject(file);
+      return;
+    }
     if (!file.type.startsWith('image/')) {
       alert('Please upload an image file.');
       return;
     }
     const reader = new FileReader();
     reader.onload = (e) => {
-      digitizer.loadImage(e.target.result).then(() => {
-        uploadArea.querySelector('.upload-content').innerHTML =
-          `<p style="color:var(--accent);font-weight:600;">Loaded: ${file.name}</p>
-           <p class="upload-hint">Click or drop to replace image</p>`;
-        stepCalibrate.classList.remove('hidden');
-        stepExtract.classList.remove('hidden');
-        stepData.classList.remove('hidden');
-        stepCalibrate.scrollIntoView({ behavior: 'smooth' });
-      });
+      digitizer.openImage(e.target.result, file.name)
+        .then(() => {
+          showLoaded(file.name);
+          viewport.fit();
+          stepCalibrate.scrollIntoView({ behavior: 'smooth' });
+        })
+        .catch(err => alert(`Could not open image: ${err.message}`));
     };
     reader.readAsDataURL(file);
   }
 
+  function showLoaded(name) {
+    const content = uploadArea.querySelector('.upload-content');
+    content.innerHTML =
+      `<p style="color:var(--accent);font-weight:600;">Loaded: </p>
+       <p class="upload-hint">Click or drop to replace image</p>`;
+    content.querySelector('p').append(name);
+    stepCalibrate.classList.remove('hidden');
+    stepExtract.classList.remove('hidden');
+    stepData.classList.remove('hidden');
+  }
+
+  // --- Projects ---
+  const projectInput = document.getElementById('project-input');
+
+  function openProject(file) {
+    readProjectFile(file)
+      .then(project => digitizer.loadProject(project))
+      .then(() => {
+        showLoaded(digitizer.imageName || file.name);
+        viewport.fit();
+        refreshUI();
+      })
+      .catch(err => alert(`Could not open project: ${err.message}`));
+  }
+
+  document.getElementById('btn-open-project').addEventListener('click', () => projectInput.click());
+  projectInput.addEventListener('change', () => {
+    if (projectInput.files.length > 0) openProject(projectInput.files[0]);
+    projectInput.value = '';
+  });
+
+  document.getElementById('btn-save-project').addEventListener('click', () => {
+    if (!digitizer.image) { alert('Load an image first.'); return; }
+    saveProjectFile(digitizer.toProject());
+  });
+
+  // After every change: refresh undo/redo buttons and autosave shortly after the
+  // last change, so a crashed tab loses at most a second of work
+  let autosaveTimer = null;
+  digitizer.onChange = () => {
+    viewport.refresh(); // the canvas size changes with a new, rectified or restored image
+    updateHistoryButtons();
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+      if (digitizer.image) saveAutosave(digitizer.toProject()).catch(() => {});
+    }, 1000);
+  };
+
+  // Offer to restore the autosaved session on startup
+  const restoreBanner = document.getElementById('restore-banner');
+  loadAutosave().then(project => {
+    if (!project || !project.image) return;
+    const when = new Date(project.savedAt).toLocaleString();
+    document.getElementById('restore-info').textContent =
+      `Unsaved work${project.imageName ? ` on "${project.imageName}"` : ''} from ${when} was found.`;
+    restoreBanner.classList.remove('hidden');
+
+    document.getElementById('btn-restore').addEventListener('click', () => {
+      restoreBanner.classList.add('hidden');
+      digitizer.loadProject(project)
+        .then(() => {
+          showLoaded(digitizer.imageName || 'restored session');
+          viewport.fit();
+          refreshUI();
+        })
+        .catch(err => alert(`Could not restore the session: ${err.message}`));
+    });
+    document.getElementById('btn-discard-restore').addEventListener('click', () => {
+      restoreBanner.classList.add('hidden');
+      clearAutosave().catch(() => {});
+    });
+  }).catch(() => {});
+
   // --- ROI and Exclude Regions ---
-  let drawMode = null; // 'roi' or 'exclude'
+  let drawMode = null; // 'roi', 'exclude', 'crop' or 'colorbar' (a line)
   let drawStart = null;
   let ignoreNextClick = false; // prevent click from firing after draw interaction
 
@@ -88,43 +165,29 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('roi-status').style.color = '';
   });
 
+  // Image pixel under the mouse at any zoom level
   function getCanvasCoords(e) {
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    return {
-      x: Math.round((e.clientX - rect.left) * scaleX),
-      y: Math.round((e.clientY - rect.top) * scaleY)
-    };
+    return viewport.toImageCoords(e);
   }
 
   canvas.addEventListener('mousedown', (e) => {
-    if (!drawMode) return;
+    if (!drawMode || viewport.isPanGesture(e)) return;
     drawStart = getCanvasCoords(e);
   });
 
   canvas.addEventListener('mousemove', (e) => {
     if (!drawMode || !drawStart) return;
     const cur = getCanvasCoords(e);
-    if (drawMode === 'roi') {
-      digitizer.roi = { x1: drawStart.x, y1: drawStart.y, x2: cur.x, y2: cur.y };
-    } else if (drawMode === 'exclude') {
-      // Show preview of current exclude region being drawn
-      const previewExclude = { x1: drawStart.x, y1: drawStart.y, x2: cur.x, y2: cur.y };
-      // Temporarily add for drawing, will be replaced on mouseup
-      const tempLen = digitizer.excludeRegions.length;
-      digitizer.excludeRegions[tempLen] = previewExclude;
-      digitizer.drawAll();
-      digitizer.excludeRegions.length = tempLen; // remove temp
-      return;
-    }
-    digitizer.drawAll();
+    // Preview the rectangle (or colorbar line) being drawn; it is committed on mouseup
+    digitizer.setDraftRegion({ kind: drawMode, x1: drawStart.x, y1: drawStart.y, x2: cur.x, y2: cur.y });
   });
 
   canvas.addEventListener('mouseup', (e) => {
     if (!drawMode || !drawStart) return;
     const end = getCanvasCoords(e);
+    digitizer.setDraftRegion(null);
     const big = Math.abs(end.x - drawStart.x) > 10 && Math.abs(end.y - drawStart.y) > 10;
+    const long = Math.hypot(end.x - drawStart.x, end.y - drawStart.y) > 10;
 
     if (drawMode === 'roi' && big) {
       digitizer.setROI(drawStart.x, drawStart.y, end.x, end.y);
@@ -132,6 +195,20 @@ document.addEventListener('DOMContentLoaded', () => {
     } else if (drawMode === 'exclude' && big) {
       digitizer.addExcludeRegion(drawStart.x, drawStart.y, end.x, end.y);
       updateROIStatus();
+    } else if (drawMode === 'crop' && big) {
+      // The crop rectangle covers the end pixel too
+      const crop = {
+        x1: Math.min(drawStart.x, end.x), y1: Math.min(drawStart.y, end.y),
+        x2: Math.max(drawStart.x, end.x) + 1, y2: Math.max(drawStart.y, end.y) + 1
+      };
+      applyAdjustments({ crop }, `Cropped to ${crop.x2 - crop.x1} x ${crop.y2 - crop.y1} px.`);
+    } else if (drawMode === 'colorbar' && long) {
+      digitizer.setColorbarLine(drawStart.x, drawStart.y, end.x, end.y);
+      updateColorMapStatus();
+    } else if (drawMode === 'colorbar') {
+      document.getElementById('colormap-status').textContent = 'Click and DRAG along the colorbar. Try again.';
+    } else if (drawMode === 'crop') {
+      document.getElementById('adjust-status').textContent = 'Click and DRAG to draw the area to keep. Try again.';
     } else {
       document.getElementById('roi-status').textContent = 'You need to click and DRAG (hold mouse button while moving) to draw a rectangle. Try again.';
     }
@@ -157,10 +234,275 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // --- Image adjustments ---
+  const adjustStatus = document.getElementById('adjust-status');
+  const adjustRotate = document.getElementById('adjust-rotate');
+  const toneInputs = {
+    brightness: document.getElementById('adjust-brightness'),
+    contrast: document.getElementById('adjust-contrast'),
+    gamma: document.getElementById('adjust-gamma')
+  };
+
+  function toneSettings() {
+    return {
+      brightness: parseFloat(toneInputs.brightness.value),
+      contrast: parseFloat(toneInputs.contrast.value),
+      gamma: parseFloat(toneInputs.gamma.value)
+    };
+  }
+
+  function resetAdjustInputs() {
+    adjustRotate.value = 0;
+    toneInputs.brightness.value = 0;
+    toneInputs.contrast.value = 0;
+    toneInputs.gamma.value = 1;
+    document.getElementById('adjust-gamma-value').textContent = '1.00';
+  }
+
+  // Bake the adjustments into the image; calibration, regions and points follow it
+  function applyAdjustments(options, message) {
+    if (!digitizer.image) { alert('Load an image first.'); return; }
+    digitizer.adjustImage(options).then(() => {
+      resetAdjustInputs();
+      adjustStatus.textContent = message;
+      updateROIStatus();
+      updateCalStatus();
+      refreshUI();
+    });
+  }
+
+  document.getElementById('btn-crop').addEventListener('click', () => {
+    if (!digitizer.image) { alert('Load an image first.'); return; }
+    drawMode = 'crop';
+    drawStart = null;
+    canvas.classList.add('roi-mode');
+    adjustStatus.textContent = 'Now CLICK and DRAG on the image around the part to keep...';
+  });
+  document.getElementById('btn-rotate-left').addEventListener('click', () => {
+    applyAdjustments({ rotate: -90 }, 'Rotated 90° counter-clockwise.');
+  });
+  document.getElementById('btn-rotate-right').addEventListener('click', () => {
+    applyAdjustments({ rotate: 90 }, 'Rotated 90° clockwise.');
+  });
+  document.getElementById('btn-flip-h').addEventListener('click', () => {
+    applyAdjustments({ flipH: true }, 'Flipped horizontally.');
+  });
+  document.getElementById('btn-flip-v').addEventListener('click', () => {
+    applyAdjustments({ flipV: true }, 'Flipped vertically.');
+  });
+
+  document.getElementById('btn-deskew').addEventListener('click', () => {
+    if (!digitizer.image) { alert('Load an image first.'); return; }
+    const skew = digitizer.estimateImageSkew();
+    if (Math.abs(skew) < 0.05) {
+      adjustStatus.textContent = 'The axes are already level.';
+      return;
+    }
+    applyAdjustments({ rotate: -skew }, `Straightened by ${Math.abs(skew).toFixed(2)}° ${skew > 0 ? 'counter-clockwise' : 'clockwise'}.`);
+  });
+
+  // Tone sliders preview live; nothing changes until Apply
+  Object.values(toneInputs).forEach(input => {
+    input.addEventListener('input', () => {
+      document.getElementById('adjust-gamma-value').textContent = parseFloat(toneInputs.gamma.value).toFixed(2);
+      digitizer.setAdjustPreview(toneSettings());
+    });
+  });
+
+  document.getElementById('btn-apply-adjust').addEventListener('click', () => {
+    const rotate = parseFloat(adjustRotate.value) || 0;
+    applyAdjustments({ rotate, ...toneSettings() }, 'Adjustments applied.');
+  });
+  document.getElementById('btn-reset-adjust').addEventListener('click', () => {
+    resetAdjustInputs();
+    digitizer.setAdjustPreview(null);
+    adjustStatus.textContent = '';
+  });
+
   // --- Calibration ---
   let currentCalPoint = 'x1';
   let isColorPickMode = false;
-  const calButtons = document.querySelectorAll('.btn-cal');
+  let colorPickTarget = 'target'; // 'target', 'extra' (another target color) or 'error' (error bar color)
+  let isTraceSeedMode = false;
+  const calButtons = document.querySelectorAll('.btn-cal[data-point]');
+  const cornerButtons = document.querySelectorAll('.btn-cal[data-corner]');
+  let currentCorner = 0;
+  const polarButtons = document.querySelectorAll('.btn-cal[data-polar]');
+  let currentPolarPoint = 'origin';
+  const ternaryButtons = document.querySelectorAll('.btn-cal[data-ternary]');
+  let currentTernaryCorner = 0;
+  let pendingTickAxis = null; // 'x' or 'y' while waiting for an extra tick click
+
+  function showCalibrationMode() {
+    document.querySelectorAll('.btn-calmode').forEach(b => {
+      b.classList.toggle('active', b.dataset.calmode === digitizer.calMode);
+    });
+    ['axes', 'perspective', 'polar', 'ternary'].forEach(mode => {
+      document.getElementById(`cal-panel-${mode}`).classList.toggle('hidden', digitizer.calMode !== mode);
+    });
+    // The angle (polar) and share (ternary) axes are always linear
+    ['x', 'y'].forEach(axis => {
+      document.getElementById(`scale-${axis}`).disabled = digitizer.coordinateSystem.linearAxes.includes(axis);
+    });
+  }
+
+  // The mode can change the axis scales and column titles
+  document.querySelectorAll('.btn-calmode').forEach(btn => {
+    btn.addEventListener('click', () => {
+      digitizer.setCalibrationMode(btn.dataset.calmode);
+      refreshUI();
+    });
+  });
+
+  // Propose calibration points and the data region from the detected axes and ticks
+  document.getElementById('btn-detect-axes').addEventListener('click', () => {
+    const found = digitizer.detectAxesCalibration();
+    if (!found) {
+      alert('No X and Y axis lines were found. Set the calibration points by clicking instead.');
+      return;
+    }
+    syncSettingsInputs();
+    updateROIStatus();
+    const status = document.getElementById('cal-status');
+    status.textContent = `Axes detected (${found.xTicks.length} X ticks, ${found.yTicks.length} Y ticks). ` +
+      'Enter the values at the marked points, then check the calibration.';
+    const first = document.getElementById('val-x1');
+    first.focus();
+    first.select();
+  });
+
+  cornerButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (isColorPickMode) return;
+      currentCorner = parseInt(btn.dataset.corner);
+      cornerButtons.forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+    });
+  });
+
+  [0, 1, 2, 3].forEach(i => {
+    ['x', 'y'].forEach(axis => {
+      document.getElementById(`corner-${i}-${axis}`).addEventListener('change', (e) => {
+        digitizer.setCornerValue(i, axis, e.target.value);
+        updateCalStatus();
+      });
+    });
+  });
+
+  polarButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (isColorPickMode) return;
+      currentPolarPoint = btn.dataset.polar;
+      polarButtons.forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+    });
+  });
+
+  ['angle', 'radius', 'origin'].forEach(key => {
+    document.getElementById(`polar-${key}`).addEventListener('change', (e) => {
+      digitizer.setPolarValue(key, e.target.value);
+      updateCalStatus();
+    });
+  });
+
+  // Unit and direction change the angle column, so the table is redrawn too
+  ['unit', 'direction'].forEach(key => {
+    document.getElementById(`polar-${key}`).addEventListener('change', (e) => {
+      digitizer.setPolarOption(key, e.target.value);
+      refreshUI();
+    });
+  });
+
+  ternaryButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (isColorPickMode) return;
+      currentTernaryCorner = parseInt(btn.dataset.ternary);
+      ternaryButtons.forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+    });
+  });
+
+  document.getElementById('ternary-total').addEventListener('change', (e) => {
+    digitizer.setTernaryTotal(e.target.value);
+    updateCalStatus();
+  });
+
+  // Extra axis ticks: one row per tick with its value, break mark and remove button
+  function renderAxisTicks() {
+    const list = document.getElementById('axis-tick-list');
+    list.innerHTML = '';
+    ['x', 'y'].forEach(axis => {
+      digitizer.axisTicks[axis].forEach((tick, i) => {
+        const row = document.createElement('div');
+        row.className = 'cal-input-group';
+        const label = document.createElement('label');
+        label.textContent = `${axis.toUpperCase()} tick ${i + 3}:`;
+        const input = document.createElement('input');
+        input.id = `tick-${axis}-${i}`;
+        setAxisInput(input, axis, tick.value);
+        input.step = 'any';
+        input.addEventListener('change', (e) => {
+          digitizer.setAxisTickValue(axis, i, e.target.value);
+          e.target.value = digitizer.formatAxisValue(axis, digitizer.axisTicks[axis][i].value, true);
+          updateCalStatus();
+          updateDataTable();
+        });
+        const breakLabel = document.createElement('label');
+        breakLabel.title = 'The axis is broken (//) between this tick and the next lower tick value';
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = tick.breakBefore;
+        check.addEventListener('change', (e) => {
+          digitizer.setAxisTickBreak(axis, i, e.target.checked);
+          document.getElementById(`axis-mapping-${axis}`).value = digitizer.axisMapping[axis];
+          updateCalStatus();
+          updateDataTable();
+        });
+        breakLabel.append(check, ' break below');
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-sm';
+        remove.textContent = '×';
+        remove.title = 'Remove this tick';
+        remove.addEventListener('click', () => {
+          digitizer.removeAxisTick(axis, i);
+          renderAxisTicks();
+          updateCalStatus();
+          updateDataTable();
+        });
+        row.append(label, input, breakLabel, remove);
+        list.appendChild(row);
+      });
+    });
+  }
+
+  document.querySelectorAll('[data-tick-axis]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (isColorPickMode) return;
+      pendingTickAxis = btn.dataset.tickAxis;
+      const axisName = pendingTickAxis.toUpperCase();
+      document.getElementById('cal-status').textContent =
+        `Click a labelled tick on the ${axisName} axis, then type its value.`;
+    });
+  });
+
+  ['x', 'y'].forEach(axis => {
+    document.getElementById(`axis-mapping-${axis}`).addEventListener('change', (e) => {
+      digitizer.setAxisMapping(axis, e.target.value);
+      updateCalStatus();
+      updateDataTable();
+    });
+  });
+
+  document.getElementById('btn-rectify').addEventListener('click', () => {
+    if (!digitizer.calibrated) {
+      alert('Set all 4 corners and their values first.');
+      return;
+    }
+    digitizer.rectifyImage().then(() => {
+      updateROIStatus();
+      updateCalStatus();
+    });
+  });
 
   calButtons.forEach(btn => {
     btn.addEventListener('click', () => {
@@ -178,22 +520,131 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  ['x', 'y'].forEach(axis => {
+    document.getElementById(`scale-${axis}`).addEventListener('change', (e) => {
+      digitizer.setAxisScale(axis, e.target.value);
+      refreshUI(); // value inputs switch between numbers and dates
+    });
+    document.getElementById(`axis-name-${axis}`).addEventListener('change', (e) => {
+      digitizer.setAxisName(axis, e.target.value);
+      updateDataTable(); // the names title the table columns
+    });
+  });
+
+  ['format', 'timezone'].forEach(key => {
+    document.getElementById(`date-${key}`).addEventListener('change', (e) => {
+      digitizer.setDateFormat(key, e.target.value);
+      refreshUI();
+    });
+  });
+
+  // --- Point editing ---
+  // Drag a point of the active series to move it, Shift+click to add it to the
+  // selection, Shift+drag on empty space to select a rectangle, right-click to insert
+  // a point between its neighbors, Delete to remove the selection
+  let pointDrag = null; // { id, index, start: { x, y }, moved }
+  let dragCount = 0; // numbers the drags, so each one is its own undo step
+  let selectStart = null; // image coords where a rubber-band selection began
+
+  function canEditPoints(e) {
+    return digitizer.image && !drawMode && !isColorPickMode && !isTraceSeedMode &&
+      e.button === 0 && !viewport.isPanGesture(e);
+  }
+
+  canvas.addEventListener('mousedown', (e) => {
+    if (!canEditPoints(e)) return;
+    const p = viewport.toImageCoords(e, true);
+    const hit = digitizer.hitTestPoint(p.x, p.y, Math.max(5, 6 / viewport.zoom));
+    if (hit >= 0) {
+      e.preventDefault();
+      const alreadySelected = digitizer.getSelectedIndices().includes(hit);
+      if (e.shiftKey || !alreadySelected) digitizer.selectPoints([hit], e.shiftKey);
+      pointDrag = { id: ++dragCount, index: hit, start: { x: e.clientX, y: e.clientY }, moved: false, shift: e.shiftKey };
+      updateSelectionRows(true);
+    } else if (e.shiftKey) {
+      e.preventDefault();
+      selectStart = p;
+    }
+  });
+
+  canvas.addEventListener('mousemove', (e) => {
+    if (pointDrag && !pointDrag.shift && digitizer.calibrated) {
+      if (!pointDrag.moved && Math.hypot(e.clientX - pointDrag.start.x, e.clientY - pointDrag.start.y) < 3) return;
+      pointDrag.moved = true;
+      const p = viewport.toImageCoords(e, true);
+      digitizer.movePoint(pointDrag.index, p.x, p.y, pointDrag.id);
+      updatePointRow(pointDrag.index);
+      updateFitPanel();
+    } else if (selectStart) {
+      const p = viewport.toImageCoords(e, true);
+      digitizer.setDraftRegion({ kind: 'select', x1: selectStart.x, y1: selectStart.y, x2: p.x, y2: p.y });
+    }
+  });
+
+  window.addEventListener('mouseup', (e) => {
+    if (pointDrag) {
+      // The residual column follows the moved point
+      if (pointDrag.moved && digitizer.activeSeries.fit) updateDataTable();
+      pointDrag = null;
+      ignoreNextClick = e.target === canvas; // the click ends the drag, it isn't a calibration click
+    } else if (selectStart) {
+      const p = viewport.toImageCoords(e, true);
+      digitizer.setDraftRegion(null);
+      digitizer.selectPointsInRect(selectStart.x, selectStart.y, p.x, p.y, true);
+      selectStart = null;
+      ignoreNextClick = e.target === canvas;
+      updateSelectionRows(true);
+    }
+  });
+
+  canvas.addEventListener('contextmenu', (e) => {
+    if (!digitizer.image || !digitizer.calibrated || drawMode) return;
+    e.preventDefault();
+    const p = viewport.toImageCoords(e, true);
+    const index = digitizer.insertPoint(p.x, p.y);
+    digitizer.selectPoints([index]);
+    updateDataTable();
+    updateSelectionRows(true);
+  });
+
+  function deleteSelection() {
+    if (digitizer.deleteSelectedPoints() > 0) updateDataTable();
+  }
+
+  document.getElementById('btn-delete-selected').addEventListener('click', deleteSelection);
+
+  document.addEventListener('keydown', (e) => {
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+    if ((e.key === 'Delete' || e.key === 'Backspace') && digitizer.selectedPoints.size > 0) {
+      e.preventDefault();
+      deleteSelection();
+    } else if (e.key === 'Escape') {
+      digitizer.clearSelection();
+      updateSelectionRows(false);
+    }
+  });
+
   // Canvas click handler
   canvas.addEventListener('click', (e) => {
     if (drawMode) return; // ROI/exclude uses mousedown/mouseup instead
     if (ignoreNextClick) { ignoreNextClick = false; return; }
+    if (viewport.consumePanClick()) return;
 
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    const px = Math.round((e.clientX - rect.left) * scaleX);
-    const py = Math.round((e.clientY - rect.top) * scaleY);
+    // Calibration and manual points keep sub-pixel precision when zoomed in
+    const { x: px, y: py } = viewport.toImageCoords(e, true);
 
     if (isColorPickMode) {
-      const color = digitizer.getPixelColor(px, py);
-      if (color) {
-        const hex = '#' + [color.r, color.g, color.b].map(c => c.toString(16).padStart(2, '0')).join('');
-        document.getElementById('target-color').value = hex;
+      const pixel = getCanvasCoords(e);
+      const color = digitizer.getPixelColor(pixel.x, pixel.y);
+      if (color && colorPickTarget === 'error') {
+        document.getElementById('error-bar-color').value = toHex(color);
+        digitizer.setErrorBarColor(color.r, color.g, color.b);
+      } else if (color && colorPickTarget === 'extra') {
+        digitizer.addTargetColor(color.r, color.g, color.b);
+        updateExtraColors();
+      } else if (color) {
+        document.getElementById('target-color').value = toHex(color);
         digitizer.setTargetColor(color.r, color.g, color.b);
       }
       isColorPickMode = false;
@@ -201,13 +652,75 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
+    // An extra tick was asked for, so this click places it even in manual or trace mode
+    if (pendingTickAxis) {
+      const axis = pendingTickAxis;
+      const index = digitizer.addAxisTick(axis, px, py);
+      pendingTickAxis = null;
+      renderAxisTicks();
+      updateCalStatus();
+      const input = document.getElementById(`tick-${axis}-${index}`);
+      input.focus();
+      input.select();
+      return;
+    }
+
     if (extractMode === 'manual' && digitizer.calibrated) {
       digitizer.addManualPoint(px, py);
       updateDataTable();
       return;
     }
 
+    if (isTraceSeedMode) {
+      runScan('Tracing curve...', progress => digitizer.traceFrom(px, py, progress), traced => {
+        updateDataTable();
+        if (traced.length === 0) {
+          alert('No pixels of the target color near that point. Click directly on the curve, or adjust the color/tolerance.');
+        }
+      });
+      return;
+    }
+
     // Calibration mode
+    if (digitizer.calMode === 'perspective') {
+      digitizer.setCornerPoint(currentCorner, px, py);
+      document.getElementById(`btn-corner-${currentCorner}`).classList.add('done');
+      const nextCorner = digitizer.cornerPoints.findIndex(p => !p);
+      if (nextCorner >= 0) {
+        currentCorner = nextCorner;
+        cornerButtons.forEach(b => b.classList.remove('active'));
+        document.getElementById(`btn-corner-${currentCorner}`).classList.add('active');
+      }
+      updateCalStatus();
+      return;
+    }
+
+    if (digitizer.calMode === 'polar') {
+      digitizer.setPolarPoint(currentPolarPoint, px, py);
+      document.getElementById(`btn-polar-${currentPolarPoint}`).classList.add('done');
+      const nextPolar = ['origin', 'angle', 'radius'].find(key => !digitizer.polarPoints[key]);
+      if (nextPolar) {
+        currentPolarPoint = nextPolar;
+        polarButtons.forEach(b => b.classList.remove('active'));
+        document.getElementById(`btn-polar-${currentPolarPoint}`).classList.add('active');
+      }
+      updateCalStatus();
+      return;
+    }
+
+    if (digitizer.calMode === 'ternary') {
+      digitizer.setTernaryPoint(currentTernaryCorner, px, py);
+      document.getElementById(`btn-ternary-${currentTernaryCorner}`).classList.add('done');
+      const nextTernary = digitizer.ternaryPoints.findIndex(p => !p);
+      if (nextTernary >= 0) {
+        currentTernaryCorner = nextTernary;
+        ternaryButtons.forEach(b => b.classList.remove('active'));
+        document.getElementById(`btn-ternary-${currentTernaryCorner}`).classList.add('active');
+      }
+      updateCalStatus();
+      return;
+    }
+
     digitizer.setCalibrationPoint(currentCalPoint, px, py);
     const btn = document.getElementById(`btn-cal-${currentCalPoint}`);
     btn.classList.add('done');
@@ -224,9 +737,60 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function updateCalStatus() {
     const status = document.getElementById('cal-status');
-    if (digitizer.calibrated) {
-      status.textContent = 'Calibration complete! You can now extract data.';
+    const errors = digitizer.calErrors;
+    ['x1', 'x2', 'y1', 'y2'].forEach(key => {
+      const err = getAxisScale(digitizer.axisScales[key[0]]).validate(digitizer.calValues[key]);
+      document.getElementById(`val-${key}`).classList.toggle('invalid', !!err);
+    });
+    digitizer.cornerValues.forEach((val, i) => {
+      ['x', 'y'].forEach(axis => {
+        const err = getAxisScale(digitizer.axisScales[axis]).validate(val[axis]);
+        document.getElementById(`corner-${i}-${axis}`).classList.toggle('invalid', !!err);
+      });
+    });
+    ['radius', 'origin'].forEach(key => {
+      const err = getAxisScale(digitizer.axisScales.y).validate(digitizer.polarValues[key]);
+      document.getElementById(`polar-${key}`).classList.toggle('invalid', !!err);
+    });
+    document.getElementById('ternary-total').classList.toggle('invalid', !(digitizer.ternaryTotal > 0));
+
+    if (errors.length > 0) {
+      status.textContent = `Invalid calibration: ${errors.join('; ')}.`;
+      status.classList.remove('ready');
+      status.classList.add('error');
+      return;
+    }
+    status.classList.remove('error');
+
+    if (digitizer.calibrated && digitizer.calMode === 'perspective') {
+      status.textContent = digitizer.rectified
+        ? 'Perspective calibration complete and image rectified! You can now extract data.'
+        : 'Perspective calibration complete! Click "Rectify Image" to straighten the plot before auto-extracting.';
+      status.classList.add('ready');
+    } else if (digitizer.calibrated && digitizer.calMode === 'polar') {
+      status.textContent = 'Polar calibration complete! Points are read as angle θ and radius r.';
+      status.classList.add('ready');
+    } else if (digitizer.calibrated && digitizer.calMode === 'ternary') {
+      status.textContent = 'Ternary calibration complete! Points are read as shares A, B and C.';
       status.classList.add('ready');
+    } else if (digitizer.calibrated) {
+      const { rotation, skew } = digitizer.transform;
+      status.textContent = 'Calibration complete! You can now extract data. ' +
+        `Axis rotation: ${rotation.toFixed(2)}°, skew: ${skew.toFixed(2)}°` +
+        (Math.abs(rotation) > 0.2 || Math.abs(skew) > 0.2 ? ' (tilted scan, corrected automatically).' : '.');
+      status.classList.add('ready');
+    } else if (digitizer.calMode === 'perspective') {
+      const missing = digitizer.cornerPoints.filter(p => !p).length;
+      status.textContent = `Set ${missing} more plot corner(s).`;
+      status.classList.remove('ready');
+    } else if (digitizer.calMode === 'polar') {
+      const missing = ['origin', 'angle', 'radius'].filter(key => !digitizer.polarPoints[key]);
+      status.textContent = `Set ${missing.length} more polar point(s): ${missing.join(', ')}`;
+      status.classList.remove('ready');
+    } else if (digitizer.calMode === 'ternary') {
+      const missing = [0, 1, 2].filter(i => !digitizer.ternaryPoints[i]).map(i => 'ABC'[i]);
+      status.textContent = `Set ${missing.length} more ternary corner(s): ${missing.join(', ')}`;
+      status.classList.remove('ready');
     } else {
       const missing = ['x1', 'x2', 'y1', 'y2'].filter(k => !digitizer.calPoints[k]);
       status.textContent = `Set ${missing.length} more calibration point(s): ${missing.join(', ')}`;
@@ -234,11 +798,151 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Inputs for axis values are text on date axes (dates typed as 2024-03-01 12:30)
+  function inputType(axis) {
+    return digitizer.isDateAxis(axis) ? 'text' : 'number';
+  }
+
+  function setAxisInput(input, axis, value) {
+    input.type = inputType(axis);
+    input.placeholder = digitizer.isDateAxis(axis) ? 'YYYY-MM-DD hh:mm' : '';
+    input.value = digitizer.formatAxisValue(axis, value, true);
+  }
+
+  // Copy calibration and extraction settings from the digitizer into the inputs
+  // (after opening a project or undo/redo)
+  function syncSettingsInputs() {
+    showCalibrationMode();
+    ['x1', 'x2', 'y1', 'y2'].forEach(key => {
+      setAxisInput(document.getElementById(`val-${key}`), key[0], digitizer.calValues[key]);
+      document.getElementById(`btn-cal-${key}`).classList.toggle('done', !!digitizer.calPoints[key]);
+    });
+    ['x', 'y'].forEach(axis => {
+      document.getElementById(`scale-${axis}`).value = digitizer.axisScales[axis];
+      document.getElementById(`axis-name-${axis}`).value = digitizer.axisNames[axis];
+      document.getElementById(`axis-mapping-${axis}`).value = digitizer.axisMapping[axis];
+    });
+    renderAxisTicks();
+    document.getElementById('date-format').value = digitizer.dateFormat.format;
+    document.getElementById('date-timezone').value = digitizer.dateFormat.timezone;
+    document.getElementById('date-options').classList.toggle('hidden', !['x', 'y'].some(a => digitizer.isDateAxis(a)));
+    digitizer.cornerValues.forEach((val, i) => {
+      setAxisInput(document.getElementById(`corner-${i}-x`), 'x', val.x);
+      setAxisInput(document.getElementById(`corner-${i}-y`), 'y', val.y);
+      document.getElementById(`btn-corner-${i}`).classList.toggle('done', !!digitizer.cornerPoints[i]);
+    });
+    ['angle', 'radius', 'origin'].forEach(key => {
+      const input = document.getElementById(`polar-${key}`);
+      if (key === 'angle') input.value = digitizer.polarValues.angle;
+      else setAxisInput(input, 'y', digitizer.polarValues[key]);
+      document.getElementById(`btn-polar-${key}`).classList.toggle('done', !!digitizer.polarPoints[key]);
+    });
+    document.getElementById('polar-unit').value = digitizer.polarOptions.unit;
+    document.getElementById('polar-direction').value = digitizer.polarOptions.direction;
+    digitizer.ternaryPoints.forEach((p, i) => {
+      document.getElementById(`btn-ternary-${i}`).classList.toggle('done', !!p);
+    });
+    document.getElementById('ternary-total').value = digitizer.ternaryTotal;
+    document.getElementById('min-point-size').value = digitizer.minPointSize;
+    document.getElementById('point-size-value').textContent = digitizer.minPointSize;
+    document.getElementById('max-point-size').value = digitizer.maxPointSize;
+    document.getElementById('max-point-size-value').textContent = digitizer.maxPointSize;
+    document.querySelectorAll('.preprocess-option').forEach(input => {
+      input.checked = !!digitizer.preprocessing[input.dataset.step];
+    });
+    ['min', 'max', 'scale', 'name'].forEach(key => {
+      document.getElementById(`colorbar-${key}`).value = digitizer.colorbar[key];
+    });
+    document.getElementById('colormap-columns').value = digitizer.colorMap.columns;
+    document.getElementById('colormap-rows').value = digitizer.colorMap.rows;
+    document.getElementById('colormap-distance').value = digitizer.colorMap.maxDistance;
+    updateColorMapStatus();
+    syncResampleInputs();
+    showExtractionSettings();
+    updateCalStatus();
+  }
+
+  function refreshUI() {
+    syncSettingsInputs();
+    updateDataTable();
+    updateHistoryButtons();
+  }
+
+  // --- Zoom / Pan / Loupe ---
+  viewport.onZoom = (zoom) => {
+    document.getElementById('zoom-level').textContent = `${Math.round(zoom * 100)}%`;
+  };
+  document.getElementById('btn-zoom-in').addEventListener('click', () => viewport.setZoom(viewport.zoom * 1.5));
+  document.getElementById('btn-zoom-out').addEventListener('click', () => viewport.setZoom(viewport.zoom / 1.5));
+  document.getElementById('btn-zoom-fit').addEventListener('click', () => viewport.fit());
+  document.getElementById('btn-zoom-reset').addEventListener('click', () => viewport.setZoom(1));
+  document.getElementById('loupe-toggle').addEventListener('change', (e) => {
+    viewport.setLoupeEnabled(e.target.checked);
+  });
+
+  document.getElementById('processed-toggle').addEventListener('change', (e) => {
+    digitizer.setShowProcessed(e.target.checked);
+  });
+
+  // --- Preprocessing ---
+  document.querySelectorAll('.preprocess-option').forEach(input => {
+    input.addEventListener('change', () => {
+      digitizer.setPreprocessing(input.dataset.step, input.checked);
+      // Show the result right away so the effect of each step is visible
+      if (input.checked && !digitizer.showProcessed) {
+        document.getElementById('processed-toggle').checked = true;
+        digitizer.setShowProcessed(true);
+      }
+    });
+  });
+
+  // --- Undo / Redo ---
+  const undoBtn = document.getElementById('btn-history-undo');
+  const redoBtn = document.getElementById('btn-history-redo');
+
+  function updateHistoryButtons() {
+    const { history } = digitizer;
+    undoBtn.disabled = !history.canUndo();
+    redoBtn.disabled = !history.canRedo();
+    undoBtn.title = history.canUndo() ? `Undo: ${history.undoLabel()} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = history.canRedo() ? `Redo: ${history.redoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+
+  function undo() {
+    digitizer.undo().then(label => { if (label) refreshUI(); });
+  }
+
+  function redo() {
+    digitizer.redo().then(label => { if (label) refreshUI(); });
+  }
+
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+
+  // A slider or point drag is one undo step; the next one starts a new step
+  window.addEventListener('pointerup', () => digitizer.history.endMerge(), true);
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    // Leave text fields to their own undo
+    const tag = e.target.tagName;
+    if ((tag === 'INPUT' && e.target.type !== 'range' && e.target.type !== 'color') || tag === 'TEXTAREA' || tag === 'SELECT') return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
+
   // --- Extract Mode ---
   let extractMode = 'auto';
   document.querySelectorAll('.btn-mode').forEach(btn => {
     btn.addEventListener('click', () => {
       extractMode = btn.dataset.mode;
+      setTraceSeedMode(false);
       document.querySelectorAll('.btn-mode').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
       document.getElementById('auto-settings').style.display = extractMode === 'auto' ? 'flex' : 'none';
@@ -247,34 +951,217 @@ document.addEventListener('DOMContentLoaded', () => {
 
   document.getElementById('target-color').addEventListener('input', (e) => {
     digitizer.setTargetColorHex(e.target.value);
+    refreshPreview();
   });
 
   document.getElementById('btn-pick-color').addEventListener('click', () => {
     isColorPickMode = true;
+    colorPickTarget = 'target';
     canvas.classList.add('color-pick-mode');
   });
 
+  document.getElementById('btn-add-color').addEventListener('click', () => {
+    isColorPickMode = true;
+    colorPickTarget = 'extra';
+    canvas.classList.add('color-pick-mode');
+  });
+
+  document.getElementById('color-metric').addEventListener('change', (e) => {
+    digitizer.setColorMetric(e.target.value);
+    refreshPreview();
+  });
+
+  // Swatches of the series' extra target colors; clicking one removes it
+  function updateExtraColors() {
+    const container = document.getElementById('extra-colors');
+    container.innerHTML = '';
+    digitizer.activeSeries.extraColors.forEach((color, i) => {
+      const chip = document.createElement('button');
+      chip.className = 'color-chip';
+      chip.style.background = toHex(color);
+      chip.title = `${toHex(color)} (click to remove)`;
+      chip.addEventListener('click', () => {
+        digitizer.removeTargetColor(i);
+        updateExtraColors();
+      });
+      container.appendChild(chip);
+    });
+  }
+
+  // --- Error bars ---
+  document.getElementById('error-bars-enabled').addEventListener('change', (e) => {
+    digitizer.setErrorBarsEnabled(e.target.checked);
+  });
+
+  document.getElementById('error-bar-color').addEventListener('input', (e) => {
+    digitizer.setErrorBarColorHex(e.target.value);
+  });
+
+  document.getElementById('btn-pick-error-color').addEventListener('click', () => {
+    isColorPickMode = true;
+    colorPickTarget = 'error';
+    canvas.classList.add('color-pick-mode');
+  });
+
+  document.getElementById('btn-detect-errors').addEventListener('click', () => {
+    if (digitizer.dataPoints.length === 0) {
+      alert('Extract or click some points first, then detect their error bars.');
+      return;
+    }
+    runScan('Measuring error bars...', progress => digitizer.detectErrorBars(progress), found => {
+      updateDataTable();
+      if (found === 0) {
+        alert('No error bars found. Pick the error bar color from the image and check the color tolerance.');
+      }
+    });
+  });
+
   document.getElementById('color-tolerance').addEventListener('input', (e) => {
-    digitizer.colorTolerance = parseInt(e.target.value);
+    digitizer.setColorTolerance(parseInt(e.target.value));
     document.getElementById('tolerance-value').textContent = e.target.value;
+    refreshPreview();
+  });
+
+  // Marker size limits only apply to marker detection, sample spacing to lines and tracing,
+  // bar options to bar detection (which shares the min size as its min bar width)
+  function showExtractionSettings() {
+    const method = digitizer.extractionMethod;
+    document.getElementById('extraction-method').value = method;
+    document.querySelectorAll('.marker-setting, .bar-setting').forEach(el => {
+      const forMarkers = el.classList.contains('marker-setting') && method === 'markers';
+      const forBars = el.classList.contains('bar-setting') && method === 'bars';
+      el.classList.toggle('hidden', !forMarkers && !forBars);
+    });
+    document.querySelectorAll('.spacing-setting').forEach(el => {
+      el.classList.toggle('hidden', method !== 'lines' && method !== 'trace');
+    });
+    document.getElementById('sample-spacing').value = digitizer.sampleSpacing;
+    const bars = digitizer.barOptions;
+    document.getElementById('bar-orientation').value = bars.orientation;
+    document.getElementById('bar-position').value = bars.position;
+    document.getElementById('bar-baseline').value = bars.baseline;
+    document.getElementById('bar-stacked').checked = bars.stacked;
+    if (method !== 'trace') setTraceSeedMode(false);
+  }
+
+  // While on, canvas clicks seed the curve tracer instead of calibrating
+  function setTraceSeedMode(on) {
+    isTraceSeedMode = on;
+    canvas.classList.toggle('trace-seed-mode', on);
+    document.getElementById('trace-info').classList.toggle('hidden', !on);
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isTraceSeedMode) setTraceSeedMode(false);
+  });
+
+  document.getElementById('extraction-method').addEventListener('change', (e) => {
+    digitizer.setExtractionMethod(e.target.value);
+    showExtractionSettings();
+  });
+
+  document.getElementById('bar-orientation').addEventListener('change', (e) => {
+    digitizer.setBarOption('orientation', e.target.value);
+  });
+  document.getElementById('bar-position').addEventListener('change', (e) => {
+    digitizer.setBarOption('position', e.target.value);
+  });
+  document.getElementById('bar-baseline').addEventListener('change', (e) => {
+    const baseline = parseFloat(e.target.value);
+    digitizer.setBarOption('baseline', isNaN(baseline) ? 0 : baseline);
+    e.target.value = digitizer.barOptions.baseline;
+  });
+  document.getElementById('bar-stacked').addEventListener('change', (e) => {
+    digitizer.setBarOption('stacked', e.target.checked);
+  });
+
+  document.getElementById('sample-spacing').addEventListener('change', (e) => {
+    const spacing = parseFloat(e.target.value);
+    digitizer.setSampleSpacing(isNaN(spacing) ? 0 : spacing);
+    e.target.value = digitizer.sampleSpacing;
+  });
+
+  document.getElementById('max-point-size').addEventListener('input', (e) => {
+    digitizer.setMaxPointSize(parseInt(e.target.value));
+    document.getElementById('max-point-size-value').textContent = e.target.value;
   });
 
   document.getElementById('min-point-size').addEventListener('input', (e) => {
-    digitizer.minPointSize = parseInt(e.target.value);
+    digitizer.setMinPointSize(parseInt(e.target.value));
     document.getElementById('point-size-value').textContent = e.target.value;
   });
 
-  document.getElementById('btn-preview').addEventListener('click', () => {
-    const count = digitizer.previewMatching();
-    const info = document.getElementById('preview-info');
-    info.classList.remove('hidden');
-    document.getElementById('match-count').textContent = count.toLocaleString();
-    if (count < 100) {
-      info.style.color = '#e11d48';
-      info.querySelector('span').textContent = count.toLocaleString();
-    } else {
-      info.style.color = '#10b981';
-    }
+  document.getElementById('btn-preview').addEventListener('click', showPreview);
+
+  function showPreview() {
+    runScan('Matching pixels...', progress => digitizer.previewMatching(progress), count => {
+      const info = document.getElementById('preview-info');
+      info.classList.remove('hidden');
+      document.getElementById('match-count').textContent = count.toLocaleString();
+      if (count < 100) {
+        info.style.color = '#e11d48';
+        info.querySelector('span').textContent = count.toLocaleString();
+      } else {
+        info.style.color = '#10b981';
+      }
+    });
+  }
+
+  // Keep a shown preview live while the color settings change; each new scan
+  // supersedes the one still running
+  function refreshPreview() {
+    if (!document.getElementById('preview-info').classList.contains('hidden')) showPreview();
+  }
+
+  // --- Background scans ---
+  const scanProgress = document.getElementById('scan-progress');
+  const scanProgressBar = document.getElementById('scan-progress-bar');
+  let scanToken = 0;
+
+  // Run a digitizer scan, showing progress once it takes a moment, and hand its result
+  // to onDone. Scans stopped by Cancel or superseded by a newer scan are dropped.
+  function runScan(label, start, onDone) {
+    const token = ++scanToken;
+    scanProgressBar.value = 0;
+    document.getElementById('scan-progress-label').textContent = label;
+    const showTimer = setTimeout(() => scanProgress.classList.remove('hidden'), 200);
+    const finish = () => {
+      clearTimeout(showTimer);
+      if (token === scanToken) scanProgress.classList.add('hidden');
+    };
+    start(fraction => { scanProgressBar.value = fraction; }).then(result => {
+      finish();
+      onDone(result);
+    }, err => {
+      finish();
+      if (!err.cancelled) alert(`Scan failed: ${err.message}`);
+    });
+  }
+
+  document.getElementById('btn-cancel-scan').addEventListener('click', () => digitizer.cancelScan());
+
+  // --- Color palette ---
+  document.getElementById('btn-find-colors').addEventListener('click', () => {
+    const container = document.getElementById('color-palette');
+    container.innerHTML = '';
+    runScan('Finding colors...', progress => digitizer.getColorPalette(8, progress), palette => {
+      if (palette.length === 0) {
+        container.textContent = 'No colored pixels found in the data region.';
+        return;
+      }
+      for (const { color, count } of palette) {
+        const swatch = document.createElement('button');
+        swatch.className = 'palette-swatch';
+        swatch.title = `${toHex(color)} - use as target color`;
+        swatch.innerHTML = `<span class="swatch-color" style="background:${toHex(color)}"></span>${count.toLocaleString()} px`;
+        swatch.addEventListener('click', () => {
+          document.getElementById('target-color').value = toHex(color);
+          digitizer.setTargetColor(color.r, color.g, color.b);
+          showPreview();
+        });
+        container.appendChild(swatch);
+      }
+    });
   });
 
   document.getElementById('btn-extract').addEventListener('click', () => {
@@ -282,20 +1169,29 @@ document.addEventListener('DOMContentLoaded', () => {
       alert('Please complete axis calibration first (Step 2).');
       return;
     }
-    const points = digitizer.autoExtract();
-    updateDataTable();
-    stepData.scrollIntoView({ behavior: 'smooth' });
-
-    if (points.length <= 5) {
-      alert(
-        `Only ${points.length} point(s) found!\n\n` +
-        'Tips to get more points:\n' +
-        '1. Click "Pick from image" and click directly on the line/curve in your graph\n' +
-        '2. Increase the Color Tolerance slider (try 80-120)\n' +
-        '3. Click "Preview Matching Pixels" to see what matches before extracting\n' +
-        '4. Make sure the target color matches the data line color'
-      );
+    if (digitizer.extractionMethod === 'trace') {
+      setTraceSeedMode(true);
+      return;
     }
+    runScan('Extracting data...', progress => digitizer.autoExtract(progress), points => {
+      updateDataTable();
+      stepData.scrollIntoView({ behavior: 'smooth' });
+
+      // A bar chart can legitimately have only a handful of bars
+      const fewPoints = digitizer.extractionMethod === 'bars' ? 0 : 5;
+      if (points.length <= fewPoints) {
+        alert(
+          `Only ${points.length} point(s) found!\n\n` +
+          'Tips to get more points:\n' +
+          '1. Click "Pick from image" and click directly on the line/curve in your graph\n' +
+          '2. Increase the Color Tolerance slider (try 80-120)\n' +
+          '3. Click "Preview Matching Pixels" to see what matches before extracting\n' +
+          '4. Make sure the target color matches the data line color\n' +
+          '5. For scatter plots, choose the "Markers" method and lower the Min point size\n' +
+          '6. For bar charts, choose the "Bars / histogram" method'
+        );
+      }
+    });
   });
 
   document.getElementById('btn-clear-points').addEventListener('click', () => {
@@ -307,18 +1203,107 @@ document.addEventListener('DOMContentLoaded', () => {
     updateDataTable();
   });
 
+  // --- Series ---
+  function toHex(color) {
+    return '#' + [color.r, color.g, color.b].map(c => c.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Refresh the series switcher and the per-series extraction settings
+  function updateSeriesControls() {
+    const select = document.getElementById('series-select');
+    select.innerHTML = '';
+    digitizer.series.forEach((series, i) => {
+      const opt = document.createElement('option');
+      opt.value = i;
+      opt.textContent = `${series.name} (${series.points.length})`;
+      select.appendChild(opt);
+    });
+    select.value = digitizer.activeSeriesIndex;
+
+    const active = digitizer.activeSeries;
+    document.getElementById('series-name').value = active.name;
+    document.getElementById('series-marker-color').value = active.markerColor;
+    document.getElementById('btn-remove-series').disabled = digitizer.series.length <= 1;
+    document.getElementById('active-series-name').textContent = active.name;
+
+    document.getElementById('target-color').value = toHex(active.targetColor);
+    document.getElementById('error-bars-enabled').checked = active.errorBars.enabled;
+    document.getElementById('error-bar-color').value = toHex(active.errorBars.color);
+    document.getElementById('color-metric').value = active.colorMetric;
+    updateExtraColors();
+    document.getElementById('color-tolerance').value = active.colorTolerance;
+    document.getElementById('tolerance-value').textContent = active.colorTolerance;
+    updateROIStatus();
+  }
+
+  document.getElementById('series-select').addEventListener('change', (e) => {
+    digitizer.setActiveSeries(parseInt(e.target.value));
+    updateDataTable();
+  });
+
+  document.getElementById('series-name').addEventListener('change', (e) => {
+    digitizer.renameSeries(digitizer.activeSeriesIndex, e.target.value);
+    updateSeriesControls();
+  });
+
+  document.getElementById('series-marker-color').addEventListener('input', (e) => {
+    digitizer.setSeriesMarkerColor(digitizer.activeSeriesIndex, e.target.value);
+  });
+
+  document.getElementById('btn-add-series').addEventListener('click', () => {
+    digitizer.addSeries();
+    updateDataTable();
+  });
+
+  document.getElementById('btn-remove-series').addEventListener('click', () => {
+    const active = digitizer.activeSeries;
+    if (active.points.length > 0 && !confirm(`Delete "${active.name}" and its ${active.points.length} point(s)?`)) return;
+    digitizer.removeSeries(digitizer.activeSeriesIndex);
+    updateDataTable();
+  });
+
   // --- Data Table ---
   function updateDataTable() {
-    const points = digitizer.getDataPoints();
+    updateSeriesControls();
+    const points = digitizer.withFitValues(digitizer.getDataPoints(), digitizer.getFit());
     const tbody = document.getElementById('data-tbody');
     tbody.innerHTML = '';
 
+    // Error bar and fit columns only when the series has them (same rule as the exports);
+    // titles follow the coordinate system, with ternary C shown read-only after B
+    const titles = digitizer.getAxisTitles();
+    const errorColumns = errorColumnsFor(points);
+    const fitColumns = points.some(p => p.yFit !== undefined) ? FIT_COLUMNS : [];
+    const thirdColumn = titles.z ? [['z', titles.z]] : [];
+    const headerRow = document.getElementById('data-thead-row');
+    headerRow.innerHTML = '';
+    ['#', titles.x, titles.y, ...thirdColumn.concat(errorColumns, fitColumns).map(([, label]) => label), 'Actions']
+      .forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label; // axis names are typed by the user
+        headerRow.appendChild(th);
+      });
+
     for (const pt of points) {
       const tr = document.createElement('tr');
+      tr.dataset.idx = pt.index;
+      if (pt.inBreak) {
+        tr.classList.add('in-break');
+        tr.title = `${pt.inBreak} value lies inside an axis break`;
+      }
+      const errorCells = errorColumns.map(([key]) =>
+        `<td><input type="number" step="any" min="0" value="${pt[key] !== undefined ? pt[key] : ''}" data-idx="${pt.index}" data-error="${key}"></td>`
+      ).join('');
+      const fitCells = fitColumns.map(([key]) =>
+        `<td class="fit-cell">${key === 'yFit' && pt[key] !== '' ? digitizer.formatAxisValue('y', pt[key]) : pt[key]}</td>`
+      ).join('');
+      const valueCell = axis =>
+        `<input type="${inputType(axis)}" step="any" value="${digitizer.formatAxisValue(axis, pt[axis])}" data-idx="${pt.index}" data-axis="${axis}">`;
       tr.innerHTML = `
         <td>${pt.index + 1}</td>
-        <td><input type="number" step="any" value="${pt.x}" data-idx="${pt.index}" data-axis="x"></td>
-        <td><input type="number" step="any" value="${pt.y}" data-idx="${pt.index}" data-axis="y"></td>
+        <td>${valueCell('x')}</td>
+        <td>${valueCell('y')}</td>
+        ${thirdColumn.length > 0 ? `<td class="fit-cell">${pt.z}</td>` : ''}${errorCells}${fitCells}
         <td><button class="btn btn-danger btn-del" data-idx="${pt.index}">&times;</button></td>
       `;
       tbody.appendChild(tr);
@@ -327,11 +1312,20 @@ document.addEventListener('DOMContentLoaded', () => {
     tbody.querySelectorAll('input').forEach(inp => {
       inp.addEventListener('change', (e) => {
         const idx = parseInt(e.target.dataset.idx);
-        const axis = e.target.dataset.axis;
         const val = parseFloat(e.target.value);
+        if (e.target.dataset.error) {
+          digitizer.updatePointError(idx, e.target.dataset.error, isNaN(val) ? 0 : val);
+          return;
+        }
+        const axis = e.target.dataset.axis;
         const pt = digitizer.dataPoints[idx];
-        if (axis === 'x') digitizer.updateDataPoint(idx, val, pt.y);
-        else digitizer.updateDataPoint(idx, pt.x, val);
+        const value = digitizer.isDateAxis(axis) ? digitizer.parseAxisValue(axis, e.target.value, pt[axis]) : val;
+        if (!isFinite(value)) {
+          e.target.value = digitizer.formatAxisValue(axis, pt[axis]); // not a date: undo the edit
+          return;
+        }
+        if (axis === 'x') digitizer.updateDataPoint(idx, value, pt.y);
+        else digitizer.updateDataPoint(idx, pt.x, value);
       });
     });
 
@@ -343,7 +1337,44 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     });
 
+    // Clicking a row selects its point on the canvas (Shift/Ctrl+click adds to the selection)
+    tbody.querySelectorAll('tr').forEach(tr => {
+      tr.addEventListener('click', (e) => {
+        if (e.target.classList.contains('btn-del')) return;
+        digitizer.selectPoints([parseInt(tr.dataset.idx)], e.shiftKey || e.ctrlKey || e.metaKey);
+        updateSelectionRows(false);
+      });
+    });
+
     document.getElementById('point-count').textContent = `${points.length} points`;
+    updateSelectionRows(false);
+    updateResampleCount();
+    updateFitPanel();
+  }
+
+  // Highlight the rows of selected points; `reveal` scrolls the first one into view
+  function updateSelectionRows(reveal) {
+    const selected = new Set(digitizer.getSelectedIndices());
+    let first = null;
+    document.querySelectorAll('#data-tbody tr').forEach(tr => {
+      const on = selected.has(parseInt(tr.dataset.idx));
+      tr.classList.toggle('selected', on);
+      if (on && !first) first = tr;
+    });
+    if (reveal && first) first.scrollIntoView({ block: 'nearest' });
+    const count = selected.size;
+    document.getElementById('btn-delete-selected').disabled = count === 0;
+    document.getElementById('btn-delete-selected').textContent = count > 0 ? `Delete selected (${count})` : 'Delete selected';
+  }
+
+  // Refresh one row's X/Y inputs after its point moved on the canvas
+  function updatePointRow(index) {
+    const pt = digitizer.getDataPoints()[index];
+    if (!pt) return;
+    const row = document.querySelector(`#data-tbody tr[data-idx="${index}"]`);
+    if (!row) return;
+    row.querySelector('input[data-axis="x"]').value = digitizer.formatAxisValue('x', pt.x);
+    row.querySelector('input[data-axis="y"]').value = digitizer.formatAxisValue('y', pt.y);
   }
 
   document.getElementById('btn-sort-x').addEventListener('click', () => {
@@ -351,15 +1382,211 @@ document.addEventListener('DOMContentLoaded', () => {
     updateDataTable();
   });
 
+  // --- Resampling ---
+  function syncResampleInputs() {
+    const r = digitizer.resampling;
+    document.getElementById('resample-enabled').checked = r.enabled;
+    document.getElementById('resample-mode').value = r.mode;
+    ['start', 'end'].forEach(key => {
+      const input = document.getElementById(`resample-${key}`);
+      setAxisInput(input, 'x', r[key]);
+      if (r[key] === null) input.value = '';
+      input.placeholder = 'auto';
+    });
+    // On a date axis the step is a duration such as 1d or 6h
+    const step = document.getElementById('resample-step');
+    step.type = inputType('x');
+    step.value = digitizer.isDateAxis('x') ? formatDuration(r.step) : r.step;
+    document.getElementById('resample-list').value = r.list;
+    document.getElementById('resample-method').value = r.method;
+    document.getElementById('resample-smoothing').value = r.smoothing;
+    document.getElementById('resample-window').value = r.window;
+    document.querySelector('.resample-step').classList.toggle('hidden', r.mode !== 'step');
+    document.getElementById('resample-list').classList.toggle('hidden', r.mode !== 'list');
+    updateResampleCount();
+  }
+
+  // How many values the export will hold for the active series
+  function updateResampleCount() {
+    const info = document.getElementById('resample-count');
+    if (!digitizer.resampling.enabled) info.textContent = '';
+    else if (digitizer.isResampleGridTooLarge()) info.textContent = `Grid over ${MAX_GRID_POINTS} points, use a larger step`;
+    else info.textContent = `${digitizer.getResampledPoints().length} resampled points`;
+  }
+
+  function setResampling(key, value) {
+    digitizer.setResampling(key, value);
+    syncResampleInputs();
+  }
+
+  document.getElementById('resample-enabled').addEventListener('change', (e) => setResampling('enabled', e.target.checked));
+  document.getElementById('resample-mode').addEventListener('change', (e) => setResampling('mode', e.target.value));
+  document.getElementById('resample-method').addEventListener('change', (e) => setResampling('method', e.target.value));
+  document.getElementById('resample-smoothing').addEventListener('change', (e) => setResampling('smoothing', e.target.value));
+  document.getElementById('resample-list').addEventListener('change', (e) => setResampling('list', e.target.value));
+  ['start', 'end'].forEach(key => {
+    document.getElementById(`resample-${key}`).addEventListener('change', (e) => {
+      const value = e.target.value.trim() === '' ? NaN : digitizer.parseAxisValue('x', e.target.value);
+      setResampling(key, isFinite(value) ? value : null);
+    });
+  });
+  document.getElementById('resample-step').addEventListener('change', (e) => {
+    const step = digitizer.isDateAxis('x') ? parseDuration(e.target.value) : parseFloat(e.target.value);
+    setResampling('step', step > 0 ? step : digitizer.resampling.step);
+  });
+  document.getElementById('resample-window').addEventListener('change', (e) => {
+    const size = parseInt(e.target.value);
+    // Odd and at least 3, so the window is centered on its point
+    setResampling('window', size >= 3 ? size | 1 : 3);
+  });
+
+  // --- Curve fit ---
+  // The panel shows the active series' fit; the table's fit columns hold its residuals
+  function updateFitPanel() {
+    const settings = digitizer.activeSeries.fit;
+    document.getElementById('fit-model').value = settings ? settings.model : '';
+    document.getElementById('fit-degree').value = settings ? settings.degree : 2;
+    document.querySelector('.fit-degree').classList.toggle('hidden', !settings || settings.model !== 'polynomial');
+
+    const result = document.getElementById('fit-result');
+    if (!settings) {
+      result.textContent = '';
+      return;
+    }
+    const fit = digitizer.getFit();
+    result.textContent = fit
+      ? `${formatFitEquation(fit)}   R² = ${fit.r2.toFixed(5)}   RMSE = ${parseFloat(fit.rmse.toPrecision(4))}   (${fit.n} points)`
+      : 'Not enough usable points for this model';
+  }
+
+  function setFit() {
+    const model = document.getElementById('fit-model').value;
+    const degree = parseInt(document.getElementById('fit-degree').value);
+    digitizer.setSeriesFit(digitizer.activeSeriesIndex,
+      model ? { model, degree: degree >= 1 ? Math.min(9, degree) : 2 } : null);
+    updateDataTable();
+  }
+
+  document.getElementById('fit-model').addEventListener('change', setFit);
+  document.getElementById('fit-degree').addEventListener('change', setFit);
+
+  // --- Export ---
+  function getExportTables() {
+    const series = digitizer.getExportSeries().filter(s => s.points.length > 0);
+    if (series.length === 0) return null;
+    const layout = document.getElementById('export-layout').value;
+    return buildExportTables(series, layout, {
+      axisScales: digitizer.axisScales,
+      axisNames: digitizer.getAxisTitles(),
+      dateFormat: digitizer.dateFormat
+    });
+  }
+
+  function exportBase() {
+    return exportFileBase(digitizer.imageName);
+  }
+
   document.getElementById('btn-export-csv').addEventListener('click', () => {
-    const data = digitizer.getDataPoints();
-    if (data.length === 0) { alert('No data to export.'); return; }
-    exportCSV(data);
+    const tables = getExportTables();
+    if (!tables) { alert('No data to export.'); return; }
+    exportCSV(tables, exportBase());
   });
 
+  // The workbook also carries the calibration and settings on an info sheet
   document.getElementById('btn-export-excel').addEventListener('click', () => {
-    const data = digitizer.getDataPoints();
-    if (data.length === 0) { alert('No data to export.'); return; }
-    exportExcel(data);
+    const tables = getExportTables();
+    if (!tables) { alert('No data to export.'); return; }
+    exportExcel(tables.concat([buildInfoTable(digitizer.getExportInfo())]), exportBase());
+  });
+
+  document.getElementById('btn-export-json').addEventListener('click', () => {
+    const series = digitizer.getExportSeries();
+    if (!series.some(s => s.points.length > 0)) { alert('No data to export.'); return; }
+    exportJSON(buildExportJSON(digitizer.getExportInfo(), series), exportBase());
+  });
+
+  document.getElementById('btn-copy-tsv').addEventListener('click', (e) => {
+    const tables = getExportTables();
+    if (!tables) { alert('No data to copy.'); return; }
+    const button = e.currentTarget;
+    copyText(tablesToTSV(tables)).then(() => {
+      button.textContent = 'Copied';
+      setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+    }, err => alert(`Copy failed: ${err.message}`));
   });
+
+  document.getElementById('btn-export-script').addEventListener('click', () => {
+    const series = digitizer.getExportSeries().filter(s => s.points.length > 0);
+    if (series.length === 0) { alert('No data to export.'); return; }
+    const language = document.getElementById('script-language').value;
+    const code = buildScript(language, series, {
+      axisScales: digitizer.axisScales,
+      axisNames: digitizer.getAxisTitles(),
+      source: digitizer.imageName
+    });
+    downloadFile(code, `${exportBase()}.${SCRIPT_LANGUAGES[language].extension}`, 'text/plain');
+  });
+
+  // --- Color map (heatmaps) ---
+  function updateColorMapStatus() {
+    const errors = digitizer.validateColorbar();
+    const status = document.getElementById('colormap-status');
+    status.textContent = errors.length > 0 ? `${errors.join('; ')}.` : 'Colorbar ready.';
+    status.style.color = errors.length > 0 ? '' : '#10b981';
+  }
+
+  document.getElementById('btn-draw-colorbar').addEventListener('click', () => {
+    drawMode = 'colorbar';
+    drawStart = null;
+    canvas.classList.add('roi-mode');
+    document.getElementById('colormap-status').textContent = 'Now CLICK and DRAG along the colorbar, from its start value to its end value...';
+  });
+
+  ['min', 'max', 'scale', 'name'].forEach(key => {
+    document.getElementById(`colorbar-${key}`).addEventListener('change', (e) => {
+      digitizer.setColorbarValue(key, e.target.value);
+      updateColorMapStatus();
+    });
+  });
+
+  [['columns', 'colormap-columns'], ['rows', 'colormap-rows'], ['maxDistance', 'colormap-distance']].forEach(([key, id]) => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      digitizer.setColorMapOption(key, e.target.value);
+      e.target.value = digitizer.colorMap[key];
+    });
+  });
+
+  // Sample the grid and build the export tables; null (after telling the user why)
+  // when the axes or the colorbar aren't set up
+  function getColorMapTables() {
+    if (!digitizer.calibrated) { alert('Calibrate the axes first.'); return null; }
+    const errors = digitizer.validateColorbar();
+    if (errors.length > 0) { alert(`${errors.join('.\n')}.`); return null; }
+    const map = digitizer.sampleColorMap();
+    const values = map.cells.map(c => c.z).filter(z => z !== null);
+    document.getElementById('colormap-status').textContent = values.length === 0
+      ? `None of the ${map.cells.length} cells match the colorbar; raise max ΔE or check the colorbar line.`
+      : `${values.length} of ${map.cells.length} cells read, values ${Math.min(...values)} to ${Math.max(...values)}.`;
+    if (values.length === 0) return null;
+    return buildColorMapTables(map, document.getElementById('colormap-layout').value, {
+      axisScales: digitizer.axisScales,
+      axisNames: digitizer.getAxisTitles(),
+      dateFormat: digitizer.dateFormat,
+      zName: digitizer.colorbar.name,
+      zScale: digitizer.colorbar.scale
+    });
+  }
+
+  document.getElementById('btn-colormap-csv').addEventListener('click', () => {
+    const tables = getColorMapTables();
+    if (tables) exportCSV(tables, `${exportBase()}_colormap`);
+  });
+
+  document.getElementById('btn-colormap-excel').addEventListener('click', () => {
+    const tables = getColorMapTables();
+    if (tables) exportExcel(tables.concat([buildInfoTable(digitizer.getExportInfo())]), `${exportBase()}_colormap`);
+  });
+
+  updateSeriesControls();
+  showExtractionSettings();
 });
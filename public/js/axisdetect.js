@@ -0,0 +1,130 @@
+/**
+ * Axis and tick detection
+ * Finds the long dark horizontal and vertical lines of a chart (the X and Y axes) and the
+ * tick marks along them, to propose a plot region and calibration points. Pure functions
+ * over an RGBA buffer in image pixel coordinates.
+ */
+
+// Propose { roi, calPoints, xTicks, yTicks } from an image, or null when no pair of axes
+// is found. calPoints sit on the outermost major ticks (falling back to the axis ends).
+function detectAxes(pixels, width, height, { darkThreshold = 110, minAxisFraction = 0.5 } = {}) {
+  const dark = new Uint8Array(width * height);
+  for (let i = 0; i < dark.length; i++) {
+    const p = i * 4;
+    const lum = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+    if (lum < darkThreshold && pixels[p + 3] > 128) dark[i] = 1;
+  }
+  const at = (x, y) => dark[Math.round(y) * width + Math.round(x)] === 1;
+
+  // X axis: the lowest row with a long horizontal run; Y axis: the leftmost long column
+  const xAxis = findAxisLine(height, width, (row, i) => at(i, row), minAxisFraction, 'last');
+  const yAxis = findAxisLine(width, height, (col, i) => at(col, i), minAxisFraction, 'first');
+  if (!xAxis || !yAxis) return null;
+
+  const xTicks = findTicks(xAxis, yAxis, (along, off) => {
+    const y = xAxis.pos + off;
+    return along >= 0 && along < width && y >= 0 && y < height && at(along, y);
+  });
+  const yTicks = findTicks(yAxis, xAxis, (along, off) => {
+    const x = yAxis.pos + off;
+    return along >= 0 && along < height && x >= 0 && x < width && at(x, along);
+  });
+
+  const xMajor = majorTicks(xTicks);
+  const yMajor = majorTicks(yTicks);
+  const left = xMajor.length >= 2 ? xMajor[0].pos : yAxis.pos;
+  const right = xMajor.length >= 2 ? xMajor[xMajor.length - 1].pos : xAxis.end;
+  const bottom = yMajor.length >= 2 ? yMajor[yMajor.length - 1].pos : xAxis.pos;
+  const top = yMajor.length >= 2 ? yMajor[0].pos : yAxis.start;
+
+  // Plot region: inside the axes, clear of the axis lines themselves
+  const inset = Math.ceil(Math.max(xAxis.thickness, yAxis.thickness) / 2) + 2;
+  const roi = {
+    x1: Math.round(yAxis.pos + inset),
+    y1: yAxis.start,
+    x2: xAxis.end,
+    y2: Math.round(xAxis.pos - inset)
+  };
+  if (roi.x2 - roi.x1 < 10 || roi.y2 - roi.y1 < 10) return null;
+
+  return {
+    roi,
+    calPoints: {
+      x1: { x: left, y: xAxis.pos },
+      x2: { x: right, y: xAxis.pos },
+      y1: { x: yAxis.pos, y: bottom },
+      y2: { x: yAxis.pos, y: top }
+    },
+    xTicks: xMajor.map(t => t.pos),
+    yTicks: yMajor.map(t => t.pos)
+  };
+}
+
+// Longest dark run (gaps of up to 2px bridged) for each of `count` lines of length `length`;
+// lines whose run covers minFraction of the length are axis candidates. Adjacent candidate
+// lines merge into one thick axis; 'first' or 'last' picks which one to return.
+// Result: { pos (center line), start, end (run extent), thickness }
+function findAxisLine(count, length, isDark, minFraction, pick) {
+  const candidates = [];
+  for (let line = 0; line < count; line++) {
+    let best = null, runStart = -1, lastDark = -10;
+    for (let i = 0; i < length; i++) {
+      if (!isDark(line, i)) continue;
+      if (i - lastDark > 3) runStart = i;
+      lastDark = i;
+      if (!best || i - runStart > best.end - best.start) best = { start: runStart, end: i };
+    }
+    if (best && best.end - best.start + 1 >= length * minFraction) candidates.push({ line, ...best });
+  }
+  if (candidates.length === 0) return null;
+
+  const groups = [];
+  for (const c of candidates) {
+    const group = groups[groups.length - 1];
+    if (group && c.line - group[group.length - 1].line <= 1) group.push(c);
+    else groups.push([c]);
+  }
+  const group = pick === 'last' ? groups[groups.length - 1] : groups[0];
+  return {
+    pos: (group[0].line + group[group.length - 1].line) / 2,
+    start: Math.min(...group.map(c => c.start)),
+    end: Math.max(...group.map(c => c.end)),
+    thickness: group.length
+  };
+}
+
+// Tick marks along `axis`: positions where a short dark run leaves the axis line on either
+// side. The crossing `other` axis is skipped. Returns [{ pos, length }] in axis order.
+function findTicks(axis, other, isDark, maxTick = 20) {
+  const edge = (axis.thickness - 1) / 2 + 1; // first line beyond the axis on either side
+  const ticks = [];
+  let current = null;
+  for (let along = axis.start; along <= axis.end; along++) {
+    if (Math.abs(along - other.pos) <= other.thickness / 2 + 2) continue;
+    let length = 0;
+    for (const dir of [-1, 1]) {
+      let n = 0;
+      while (n < maxTick && isDark(along, dir * (edge + n))) n++;
+      length = Math.max(length, n);
+    }
+    // Too long to be a tick: a grid line or a curve touching the axis
+    const isTick = length >= 3 && length < maxTick;
+    if (isTick && current && along - current.last <= 1) {
+      current.last = along;
+      current.length = Math.max(current.length, length);
+    } else if (isTick) {
+      current = { first: along, last: along, length };
+      ticks.push(current);
+    }
+  }
+  return ticks
+    .filter(t => t.last - t.first <= 4) // thin marks only
+    .map(t => ({ pos: (t.first + t.last) / 2, length: t.length }));
+}
+
+// Major ticks: those at least 75% as long as the longest tick
+function majorTicks(ticks) {
+  if (ticks.length === 0) return [];
+  const longest = Math.max(...ticks.map(t => t.length));
+  return ticks.filter(t => t.length >= longest * 0.75);
+}
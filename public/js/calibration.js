@@ -0,0 +1,225 @@
+/**
+ * Calibration transforms - map image pixels to (scale-linearized) data coordinates
+ */
+
+// Solve the affine map from the four axis calibration clicks.
+// X is fixed at x1/x2 and must not change when moving along the Y axis (y1 -> y2);
+// Y is fixed at y1/y2 and must not change when moving along the X axis (x1 -> x2).
+// `values` are already converted to linear space by the axis scales.
+// Returns null when the points are degenerate (coincident or parallel axes).
+function solveAxesCalibration(points, values) {
+  const { x1, x2, y1, y2 } = points;
+  const rowX = solveLinearSystem(
+    [[x1.x, x1.y, 1], [x2.x, x2.y, 1], [y2.x - y1.x, y2.y - y1.y, 0]],
+    [values.x1, values.x2, 0]
+  );
+  const rowY = solveLinearSystem(
+    [[y1.x, y1.y, 1], [y2.x, y2.y, 1], [x2.x - x1.x, x2.y - x1.y, 0]],
+    [values.y1, values.y2, 0]
+  );
+  if (!rowX || !rowY) return null;
+
+  const [a, b, c] = rowX;
+  const [d, e, f] = rowY;
+  const det = a * e - b * d;
+  if (!isFinite(det) || det === 0) return null;
+
+  return {
+    // pixel -> linear data space
+    toData(px, py) {
+      return { u: a * px + b * py + c, v: d * px + e * py + f };
+    },
+    // linear data space -> pixel (inverse, used for drawing)
+    toPixel(u, v) {
+      const du = u - c, dv = v - f;
+      return { x: (e * du - b * dv) / det, y: (a * dv - d * du) / det };
+    },
+    ...axisAngles(points)
+  };
+}
+
+// Map one axis of an axes calibration through more than two ticks. `ticks` are
+// { at, value }: where the two-point calibration puts a tick and its true value, both
+// in the scale's linear space. 'piecewise' interpolates between neighboring ticks and
+// extends the end stretches; 'least-squares' fits a line to three ticks and a
+// quadratic to four or more, for slightly nonlinear printed axes. Returns
+// { forward(at) -> value, inverse(value) -> at }, or null when two ticks share a
+// position or the values don't rise (or fall) steadily along the axis.
+function solveAxisMapping(ticks, method) {
+  const pts = ticks.slice().sort((a, b) => a.at - b.at);
+  const n = pts.length;
+  const sign = Math.sign(pts[n - 1].value - pts[0].value);
+  if (sign === 0 || pts.some((p, i) => i > 0 && p.at === pts[i - 1].at)) return null;
+
+  if (method === 'piecewise') {
+    if (pts.some((p, i) => i > 0 && Math.sign(p.value - pts[i - 1].value) !== sign)) return null;
+    // Linear interpolation in a list sorted by `from`, continuing the end stretches
+    const interpolate = (list, from, to, t) => {
+      let i = 0;
+      while (i < list.length - 2 && t > list[i + 1][from]) i++;
+      const a = list[i], b = list[i + 1];
+      return a[to] + (t - a[from]) / (b[from] - a[from]) * (b[to] - a[to]);
+    };
+    const byValue = sign > 0 ? pts : pts.slice().reverse();
+    return {
+      forward: at => interpolate(pts, 'at', 'value', at),
+      inverse: value => interpolate(byValue, 'value', 'at', value)
+    };
+  }
+
+  const c = fitPolynomial(pts.map(p => p.at), pts.map(p => p.value), n >= 4 ? 2 : 1);
+  if (!c) return null;
+  const [c0, c1, c2 = 0] = c;
+  // The slope must keep its sign across the ticks, or values would repeat
+  const slopes = [pts[0].at, pts[n - 1].at].map(at => c1 + 2 * c2 * at);
+  if (slopes.some(d => Math.sign(d) !== sign)) return null;
+  return {
+    forward: at => c0 + c1 * at + c2 * at * at,
+    // Root of c2·at² + c1·at + (c0 - value) on the rising (or falling) branch, in the
+    // form that stays accurate when c2 is tiny
+    inverse: value => {
+      const disc = c1 * c1 - 4 * c2 * (c0 - value);
+      return disc < 0 ? NaN : 2 * (value - c0) / (c1 + sign * Math.sqrt(disc));
+    }
+  };
+}
+
+// An axes calibration with its X and Y values passed through axis mappings (see
+// solveAxisMapping; null leaves an axis as it is)
+function withAxisMappings(base, mapX, mapY) {
+  const same = { forward: t => t, inverse: t => t };
+  const mx = mapX || same, my = mapY || same;
+  return {
+    ...base,
+    toData(px, py) {
+      const p = base.toData(px, py);
+      return { u: mx.forward(p.u), v: my.forward(p.v) };
+    },
+    toPixel(u, v) {
+      return base.toPixel(mx.inverse(u), my.inverse(v));
+    }
+  };
+}
+
+// Tilt of the X axis from horizontal and deviation of the axes from perpendicular, in degrees
+function axisAngles({ x1, x2, y1, y2 }) {
+  const ax = { x: x2.x - x1.x, y: x2.y - x1.y };
+  const ay = { x: y2.x - y1.x, y: y2.y - y1.y };
+  let rotation = Math.atan2(-ax.y, ax.x) * 180 / Math.PI;
+  if (rotation > 90) rotation -= 180;
+  if (rotation <= -90) rotation += 180;
+  const cos = Math.abs(ax.x * ay.x + ax.y * ay.y) / (Math.hypot(ax.x, ax.y) * Math.hypot(ay.x, ay.y));
+  const skew = 90 - Math.acos(Math.min(1, cos)) * 180 / Math.PI;
+  return { rotation, skew };
+}
+
+// Solve the projective map taking four source points onto four destination points.
+// Both sides are normalized (centroid at 0, mean distance sqrt(2)) to keep the 8x8
+// system well conditioned when pixels and data values differ by orders of magnitude.
+// Returns a function (x, y) -> { x, y }, or null for degenerate input.
+function solveHomography(src, dst) {
+  const ns = normalizer(src), nd = normalizer(dst);
+  const A = [], b = [];
+  for (let i = 0; i < 4; i++) {
+    const s = ns.apply(src[i]), d = nd.apply(dst[i]);
+    A.push([s.x, s.y, 1, 0, 0, 0, -d.x * s.x, -d.x * s.y]); b.push(d.x);
+    A.push([0, 0, 0, s.x, s.y, 1, -d.y * s.x, -d.y * s.y]); b.push(d.y);
+  }
+  const h = solveLinearSystem(A, b);
+  if (!h) return null;
+
+  return (x, y) => {
+    const s = ns.apply({ x, y });
+    const w = h[6] * s.x + h[7] * s.y + 1;
+    return nd.invert({
+      x: (h[0] * s.x + h[1] * s.y + h[2]) / w,
+      y: (h[3] * s.x + h[4] * s.y + h[5]) / w
+    });
+  };
+}
+
+function normalizer(points) {
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const mean = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+  const k = mean > 0 ? Math.SQRT2 / mean : 1;
+  return {
+    apply: p => ({ x: (p.x - cx) * k, y: (p.y - cy) * k }),
+    invert: p => ({ x: p.x / k + cx, y: p.y / k + cy })
+  };
+}
+
+// Perspective calibration from the four clicked plot-frame corners and their
+// (scale-linearized) data coordinates. Returns null when the corners are degenerate.
+function solvePerspectiveCalibration(corners, values) {
+  const dataPts = values.map(v => ({ x: v.u, y: v.v }));
+  const forward = solveHomography(corners, dataPts);
+  const inverse = solveHomography(dataPts, corners);
+  if (!forward || !inverse) return null;
+
+  return {
+    toData(px, py) {
+      const p = forward(px, py);
+      return { u: p.x, v: p.y };
+    },
+    toPixel(u, v) {
+      return inverse(u, v);
+    }
+  };
+}
+
+// Polar calibration from the clicked origin, a point on the angle reference ray and a
+// point at a known radius. `values` are { angle, radius, originRadius } with the radii
+// already linearized by the radius axis scale; options.unit is 'deg' or 'rad' and
+// options.direction 'ccw' (angles grow counterclockwise) or 'cw'. Maps pixels to
+// u = angle in [0, full turn) and v = radius. Returns null for degenerate input.
+function solvePolarCalibration(points, values, { unit = 'deg', direction = 'ccw' } = {}) {
+  const { origin, angle, radius } = points;
+  const dist = Math.hypot(radius.x - origin.x, radius.y - origin.y);
+  const span = values.radius - values.originRadius;
+  if (dist === 0 || Math.hypot(angle.x - origin.x, angle.y - origin.y) === 0 ||
+      !isFinite(span) || span === 0) return null;
+
+  const turn = unit === 'rad' ? 2 * Math.PI : 360;
+  const perRadian = turn / (2 * Math.PI);
+  const sign = direction === 'cw' ? -1 : 1;
+  // Screen angle of a pixel around the origin, counterclockwise with image Y down
+  const screenAngle = (px, py) => Math.atan2(origin.y - py, px - origin.x);
+  const reference = screenAngle(angle.x, angle.y);
+
+  return {
+    toData(px, py) {
+      let u = values.angle + sign * (screenAngle(px, py) - reference) * perRadian;
+      u = ((u % turn) + turn) % turn;
+      const v = values.originRadius + span * Math.hypot(px - origin.x, py - origin.y) / dist;
+      return { u, v };
+    },
+    toPixel(u, v) {
+      const phi = reference + sign * (u - values.angle) / perRadian;
+      const d = (v - values.originRadius) / span * dist;
+      return { x: origin.x + d * Math.cos(phi), y: origin.y - d * Math.sin(phi) };
+    }
+  };
+}
+
+// Ternary calibration from the three clicked triangle corners, where A, B and C each
+// make up all of `total` (100 for percentages, 1 for fractions). Maps pixels to the
+// barycentric shares u = a and v = b; c is total - a - b. Returns null when the
+// corners lie on one line.
+function solveTernaryCalibration(corners, total) {
+  const [A, B, C] = corners;
+  const det = (A.x - C.x) * (B.y - C.y) - (B.x - C.x) * (A.y - C.y);
+  if (!isFinite(det) || det === 0 || !isFinite(total) || total === 0) return null;
+
+  return {
+    toData(px, py) {
+      const a = ((B.y - C.y) * (px - C.x) + (C.x - B.x) * (py - C.y)) / det;
+      const b = ((C.y - A.y) * (px - C.x) + (A.x - C.x) * (py - C.y)) / det;
+      return { u: a * total, v: b * total };
+    },
+    toPixel(u, v) {
+      const a = u / total, b = v / total, c = 1 - a - b;
+      return { x: a * A.x + b * B.x + c * C.x, y: a * A.y + b * B.y + c * C.y };
+    }
+  };
+}
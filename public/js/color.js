@@ -0,0 +1,227 @@
+/**
+ * Color matching metrics
+ * A matcher is described by a plain, serializable spec { metric, colors, tolerance } so
+ * the preview, extraction and any worker build identical tests. The tolerance slider
+ * (RGB distance units, 5-150) is mapped onto each metric's own scale.
+ */
+
+const COLOR_METRICS = {
+  rgb: {
+    label: 'RGB distance',
+    prepare: c => c,
+    // Squared distance against squared tolerance avoids a sqrt per pixel
+    threshold: tol => tol * tol,
+    distance: (t, r, g, b) => (r - t.r) ** 2 + (g - t.g) ** 2 + (b - t.b) ** 2
+  },
+  cie76: {
+    label: 'CIE76 ΔE (Lab)',
+    prepare: c => rgbToLab(c.r, c.g, c.b),
+    threshold: tol => (tol * 0.4) ** 2,
+    distance: (t, r, g, b) => {
+      const lab = rgbToLab(r, g, b);
+      return (lab.L - t.L) ** 2 + (lab.a - t.a) ** 2 + (lab.b - t.b) ** 2;
+    }
+  },
+  ciede2000: {
+    label: 'CIEDE2000 ΔE (Lab)',
+    prepare: c => rgbToLab(c.r, c.g, c.b),
+    threshold: tol => tol * 0.25,
+    distance: (t, r, g, b) => ciede2000(t, rgbToLab(r, g, b))
+  },
+  hsv: {
+    label: 'HSV hue window',
+    prepare: c => rgbToHsv(c.r, c.g, c.b),
+    threshold: tol => tol,
+    // Hue difference in degrees for colored targets; for grey/black/white targets,
+    // where hue is meaningless, the brightness difference (0-255) among unsaturated pixels
+    distance: (t, r, g, b) => {
+      const p = rgbToHsv(r, g, b);
+      if (t.s < 0.2) return p.s < 0.25 ? Math.abs(p.v - t.v) * 255 : Infinity;
+      if (p.s < 0.2 || p.v < 0.15) return Infinity;
+      const dh = Math.abs(p.h - t.h);
+      return Math.min(dh, 360 - dh) / 0.6;
+    }
+  }
+};
+
+function getColorMetric(name) {
+  return COLOR_METRICS[name] || COLOR_METRICS.rgb;
+}
+
+// compute(r, g, b) with results cached per distinct color. The cache is emptied when it
+// reaches `limit` entries, so photos with millions of colors don't fill the memory.
+function cachePerColor(compute, limit = 65536) {
+  const cache = new Map();
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let hit = cache.get(key);
+    if (hit === undefined) {
+      hit = compute(r, g, b);
+      if (cache.size >= limit) cache.clear();
+      cache.set(key, hit);
+    }
+    return hit;
+  };
+}
+
+// (r, g, b) => true when the color is within tolerance of any of spec.colors.
+// Results are cached per distinct color, which keeps the Lab metrics cheap on real images.
+function createColorMatcher(spec) {
+  const metric = getColorMetric(spec.metric);
+  const targets = spec.colors.map(c => metric.prepare(c));
+  const limit = metric.threshold(spec.tolerance);
+  return cachePerColor((r, g, b) => targets.some(t => metric.distance(t, r, g, b) <= limit));
+}
+
+// sRGB (0-255) to CIELAB, D65 white point
+function rgbToLab(r, g, b) {
+  const lin = c => {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  const R = lin(r), G = lin(g), B = lin(b);
+  const x = (R * 0.4124564 + G * 0.3575761 + B * 0.1804375) / 0.95047;
+  const y = R * 0.2126729 + G * 0.7151522 + B * 0.0721750;
+  const z = (R * 0.0193339 + G * 0.1191920 + B * 0.9503041) / 1.08883;
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x), fy = f(y), fz = f(z);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+// Hue in degrees, saturation and value in 0-1
+function rgbToHsv(r, g, b) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const d = max - min;
+  let h = 0;
+  if (d > 0) {
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h *= 60;
+    if (h < 0) h += 360;
+  }
+  return { h, s: max === 0 ? 0 : d / max, v: max };
+}
+
+// CIEDE2000 color difference between two Lab colors (Sharma et al. 2005)
+function ciede2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(lab1.a, lab1.b), C2 = Math.hypot(lab2.a, lab2.b);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+  const a1 = lab1.a * (1 + G), a2 = lab2.a * (1 + G);
+  const c1 = Math.hypot(a1, lab1.b), c2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1 = hue(lab1.b, a1), h2 = hue(lab2.b, a2);
+
+  const dL = lab2.L - lab1.L;
+  const dC = c2 - c1;
+  let dh = 0;
+  if (c1 * c2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(c1 * c2) * Math.sin(dh / 2 * rad);
+
+  const Lbar = (lab1.L + lab2.L) / 2;
+  const cbar = (c1 + c2) / 2;
+  let hbar = h1 + h2;
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) hbar /= 2;
+    else hbar = h1 + h2 < 360 ? (hbar + 360) / 2 : (hbar - 360) / 2;
+  }
+  const T = 1 - 0.17 * Math.cos((hbar - 30) * rad) + 0.24 * Math.cos(2 * hbar * rad)
+    + 0.32 * Math.cos((3 * hbar + 6) * rad) - 0.20 * Math.cos((4 * hbar - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbar - 275) / 25) ** 2));
+  const cbar7 = Math.pow(cbar, 7);
+  const Rc = 2 * Math.sqrt(cbar7 / (cbar7 + Math.pow(25, 7)));
+  const Sl = 1 + 0.015 * (Lbar - 50) ** 2 / Math.sqrt(20 + (Lbar - 50) ** 2);
+  const Sc = 1 + 0.045 * cbar;
+  const Sh = 1 + 0.015 * cbar * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  return Math.sqrt((dL / Sl) ** 2 + (dC / Sc) ** 2 + (dH / Sh) ** 2 + Rt * (dC / Sc) * (dH / Sh));
+}
+
+// Dominant colors of the pixels in `bounds` (minus `excludes`): k-means in Lab on a
+// sample of at most maxSamples pixels, skipping near-white background and near-black
+// axes/text (near-neutral only, so yellow or dark blue curves are kept). Every pixel
+// is then counted against the nearest center.
+// Returns [{ color: { r, g, b } (mean of the cluster), count }], most frequent first.
+function extractPalette(pixels, width, bounds, excludes, { k = 8, maxSamples = 20000, minCount = 20 } = {}) {
+  const labOf = cachePerColor(rgbToLab);
+  const ignored = lab => (lab.L > 92 || lab.L < 15) && Math.hypot(lab.a, lab.b) < 10;
+
+  const area = (bounds.endX - bounds.startX) * (bounds.endY - bounds.startY);
+  const stride = Math.max(1, Math.floor(Math.sqrt(area / maxSamples)));
+  const samples = [];
+  for (let y = bounds.startY; y < bounds.endY; y += stride) {
+    for (let x = bounds.startX; x < bounds.endX; x += stride) {
+      if (isInRegions(excludes, x, y)) continue;
+      const p = (y * width + x) * 4;
+      const lab = labOf(pixels[p], pixels[p + 1], pixels[p + 2]);
+      if (!ignored(lab)) samples.push(lab);
+    }
+  }
+  if (samples.length === 0) return [];
+
+  const dist = (a, b) => (a.L - b.L) ** 2 + (a.a - b.a) ** 2 + (a.b - b.b) ** 2;
+  const nearest = (lab, centers) => {
+    let best = 0, bestDist = Infinity;
+    for (let c = 0; c < centers.length; c++) {
+      const d = dist(lab, centers[c]);
+      if (d < bestDist) { bestDist = d; best = c; }
+    }
+    return best;
+  };
+
+  // Farthest-point seeding: deterministic and picks up small but distinct curves
+  const centers = [samples[0]];
+  while (centers.length < Math.min(k, samples.length)) {
+    let far = null, farDist = 0;
+    for (const s of samples) {
+      const d = dist(s, centers[nearest(s, centers)]);
+      if (d > farDist) { farDist = d; far = s; }
+    }
+    if (!far || farDist < 25) break; // remaining colors are all within ΔE 5 of a center
+    centers.push(far);
+  }
+
+  for (let iter = 0; iter < 15; iter++) {
+    const sums = centers.map(() => ({ L: 0, a: 0, b: 0, n: 0 }));
+    for (const s of samples) {
+      const sum = sums[nearest(s, centers)];
+      sum.L += s.L; sum.a += s.a; sum.b += s.b; sum.n++;
+    }
+    sums.forEach((sum, c) => {
+      if (sum.n > 0) centers[c] = { L: sum.L / sum.n, a: sum.a / sum.n, b: sum.b / sum.n };
+    });
+  }
+
+  const clusters = centers.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+  for (let y = bounds.startY; y < bounds.endY; y++) {
+    for (let x = bounds.startX; x < bounds.endX; x++) {
+      if (isInRegions(excludes, x, y)) continue;
+      const p = (y * width + x) * 4;
+      const r = pixels[p], g = pixels[p + 1], b = pixels[p + 2];
+      const lab = labOf(r, g, b);
+      if (ignored(lab)) continue;
+      const cl = clusters[nearest(lab, centers)];
+      cl.r += r; cl.g += g; cl.b += b; cl.count++;
+    }
+  }
+
+  return clusters
+    .filter(cl => cl.count >= minCount)
+    .map(cl => ({
+      color: { r: Math.round(cl.r / cl.count), g: Math.round(cl.g / cl.count), b: Math.round(cl.b / cl.count) },
+      count: cl.count
+    }))
+    .sort((a, b) => b.count - a.count);
+}
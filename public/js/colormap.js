@@ -0,0 +1,36 @@
+/**
+ * Color scales
+ * Values read from the colors of heatmaps and false-color maps. The colors sampled along
+ * the colorbar, first end to last, become a lookup table in CIELAB. A color is placed on
+ * the bar by projecting it onto the nearest stretch between neighboring entries, which
+ * gives its position t (0 at the first end, 1 at the last) and its distance from the
+ * bar's colors (CIE76 ΔE), so colors that aren't on the bar can be told apart.
+ */
+
+// Lookup table for colors [{ r, g, b }] sampled at even steps along the colorbar
+function buildColorLookup(colors) {
+  const last = Math.max(1, colors.length - 1);
+  return colors.map((c, i) => ({ lab: rgbToLab(c.r, c.g, c.b), t: i / last }));
+}
+
+// Position { t, distance } of a color on the colorbar
+function lookupColor(lut, r, g, b) {
+  const lab = rgbToLab(r, g, b);
+  const first = lut[0].lab;
+  let best = { t: lut[0].t, distance: Math.hypot(lab.L - first.L, lab.a - first.a, lab.b - first.b) };
+  for (let i = 0; i + 1 < lut.length; i++) {
+    const p = lut[i].lab, q = lut[i + 1].lab;
+    const dL = q.L - p.L, da = q.a - p.a, db = q.b - p.b;
+    const len2 = dL * dL + da * da + db * db;
+    let s = len2 > 0 ? ((lab.L - p.L) * dL + (lab.a - p.a) * da + (lab.b - p.b) * db) / len2 : 0;
+    s = Math.max(0, Math.min(1, s));
+    const distance = Math.hypot(lab.L - p.L - s * dL, lab.a - p.a - s * da, lab.b - p.b - s * db);
+    if (distance < best.distance) best = { t: lut[i].t + s * (lut[i + 1].t - lut[i].t), distance };
+  }
+  return best;
+}
+
+// lookupColor with the result cached per color, for reading many pixels of one map
+function createColorReader(lut) {
+  return cachePerColor((r, g, b) => lookupColor(lut, r, g, b));
+}
@@ -0,0 +1,33 @@
+/**
+ * Coordinate systems
+ * What the two calibrated values of a point mean and what their columns are called.
+ * Cartesian plots (axes or perspective calibration) give X and Y. Polar plots give the
+ * angle θ as x and the radius r as y. Ternary diagrams give the shares A as x and B as
+ * y, plus C = total - A - B as a third value z. Each calibration mode belongs to one
+ * system; linearAxes are the axes whose scale type is fixed to linear.
+ */
+
+const COORDINATE_SYSTEMS = {
+  cartesian: {
+    modes: ['axes', 'perspective'],
+    linearAxes: [],
+    titles: () => ({ x: 'X', y: 'Y' })
+  },
+  polar: {
+    modes: ['polar'],
+    linearAxes: ['x'],
+    titles: ({ unit }) => ({ x: unit === 'rad' ? 'θ (rad)' : 'θ (°)', y: 'r' })
+  },
+  ternary: {
+    modes: ['ternary'],
+    linearAxes: ['x', 'y'],
+    titles: () => ({ x: 'A', y: 'B', z: 'C' })
+  }
+};
+
+const CALIBRATION_MODES = Object.values(COORDINATE_SYSTEMS).flatMap(system => system.modes);
+
+function coordinateSystemFor(calMode) {
+  return Object.values(COORDINATE_SYSTEMS).find(system => system.modes.includes(calMode)) ||
+    COORDINATE_SYSTEMS.cartesian;
+}
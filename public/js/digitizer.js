@@ -3,45 +3,433 @@
  * Handles calibration, auto-detection, manual point picking, and coordinate mapping.
  */
 
+// Marker colors handed out to new series in turn
+const SERIES_COLORS = ['#ef4444', '#2563eb', '#10b981', '#f59e0b', '#7c3aed', '#ec4899', '#0891b2', '#84cc16'];
+
+// Error bar fields a data point may carry, as distances from its value (data units)
+const ERROR_KEYS = ['yErrLow', 'yErrHigh', 'xErrLow', 'xErrHigh'];
+
 class GraphDigitizer {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d', { willReadFrequently: true });
     this.image = null;
     this.imageData = null;
+    this.imageSrc = null; // data URL of the loaded image, kept for saving projects
+    this.imageName = '';
+
+    // Called after every state mutation (used for autosave)
+    this.onChange = null;
+
+    // Undo/redo snapshots, recorded before every state mutation
+    this.history = new EditHistory();
+
+    // Rectangle being dragged out on the canvas: { kind: 'roi' | 'exclude' | 'crop' | 'select', x1, y1, x2, y2 }
+    // (kind 'colorbar' is a line from x1, y1 to x2, y2)
+    // Drawn as a preview only; it is not part of the saved state
+    this.draftRegion = null;
+
+    // Points of the active series selected on the canvas or in the table (point
+    // objects, so the selection survives sorting and deletes; view state only)
+    this.selectedPoints = new Set();
 
     // Calibration: 4 pixel points + their real values
     this.calPoints = { x1: null, x2: null, y1: null, y2: null };
     this.calValues = { x1: 0, x2: 10, y1: 0, y2: 10 };
+    // Further ticks per axis { x, y, value, breakBefore } and how each axis maps through
+    // them: 'two-point' (ticks ignored), 'piecewise' or 'least-squares' (see
+    // solveAxisMapping). breakBefore marks an axis break between the tick and the
+    // next lower tick value; points with values in that gap are flagged.
+    this.axisTicks = { x: [], y: [] };
+    this.axisMapping = { x: 'two-point', y: 'two-point' };
     this.calibrated = false;
 
-    // Extracted data points (pixel coords + real coords)
-    this.dataPoints = [];
+    // Axis scale types (see AXIS_SCALES in scales.js)
+    this.axisScales = { x: 'linear', y: 'linear' };
+    this.axisNames = { x: '', y: '' }; // axis titles for export headers, '' = X / Y
+    // Date/time axes: how values are shown and exported (see DATE_FORMATS) and the
+    // zone of typed times without an offset ('local' or 'utc')
+    this.dateFormat = { format: 'datetime', timezone: 'local' };
+    this.calErrors = [];
+    this.transform = null; // pixel <-> data solution, see calibration.js
 
-    // Region of Interest (ROI) - only extract within this rectangle
-    // null means use entire image
-    this.roi = null; // { x1, y1, x2, y2 } in pixel coords
+    // Calibration mode: 'axes' (4 axis clicks), 'perspective' (4 plot-frame corners),
+    // 'polar' (origin, angle reference, radius) or 'ternary' (3 triangle corners).
+    // See COORDINATE_SYSTEMS in coords.js for what each mode's x and y mean.
+    this.calMode = 'axes';
+    this.cornerPoints = [null, null, null, null]; // bottom-left, bottom-right, top-right, top-left
+    this.cornerValues = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+    this.polarPoints = { origin: null, angle: null, radius: null };
+    // Angle at the reference point, radius at the radius point and at the origin
+    this.polarValues = { angle: 0, radius: 10, origin: 0 };
+    this.polarOptions = { unit: 'deg', direction: 'ccw' };
+    this.ternaryPoints = [null, null, null]; // corners where A, B, C make up the total
+    this.ternaryTotal = 100;
+    this.rectified = false; // image has been straightened with rectifyImage()
 
-    // Exclude regions - areas to skip (e.g., legend boxes)
-    this.excludeRegions = []; // array of { x1, y1, x2, y2 }
+    // Named data series. Each holds its extracted points (pixel coords + real coords),
+    // target color, tolerance, ROI and exclude regions. dataPoints, roi, excludeRegions,
+    // targetColor and colorTolerance below read and write the active series.
+    this.series = [this._createSeries(0)];
+    this.activeSeriesIndex = 0;
 
     // Settings
-    this.targetColor = { r: 0, g: 0, b: 255 };
-    this.colorTolerance = 50;
-    this.minPointSize = 3;
+    this.extractionMethod = 'lines'; // 'lines', 'markers', 'trace' or 'bars'
+    this.minPointSize = 3; // smallest marker blob (px), smaller blobs are noise
+    this.maxPointSize = 30; // largest single marker blob (px)
+    this.sampleSpacing = 0; // X distance between extracted line points in data units, 0 = auto (200 samples)
+    this.barOptions = {
+      orientation: 'vertical', // 'vertical' or 'horizontal'
+      baseline: 0, // value the bars grow from, in data units of the value axis
+      position: 'center', // category coordinate: 'center' (data value) or 'index' (1, 2, ...)
+      stacked: false // report each segment's own length instead of its end relative to the baseline
+    };
+    // Steps applied to a working copy of the image before color matching (preprocess.js)
+    this.preprocessing = { flattenBackground: false, removeGrid: false, binarize: false };
+    this.showProcessed = false; // draw the working copy instead of the original (view only)
+    // Smoothing and interpolation onto a fixed X grid for export (resample.js)
+    this.resampling = {
+      enabled: false,
+      mode: 'step', // 'step' (uniform grid) or 'list' (the X values in `list`)
+      start: null, // grid start and end in X data units; null = each series' own range
+      end: null,
+      step: 1,
+      list: '',
+      method: 'linear', // see INTERPOLATION_METHODS
+      smoothing: 'none', // see SMOOTHING_METHODS
+      window: 5 // points per smoothing window
+    };
+    // Heatmaps: the colorbar line in pixels (first color at x1, y1) with the values at
+    // its ends and their scale, and the grid the map is sampled on (see colormap.js).
+    // Colors further than maxDistance (ΔE) from every colorbar color are left empty.
+    this.colorbar = { line: null, min: 0, max: 1, scale: 'linear', name: '' };
+    this.colorMap = { columns: 50, rows: 50, maxDistance: 10 };
+    this._processed = null; // cached { image, key, pixels, canvas }
+    this._processing = null; // { image, key } of the working copy being made
+    this.adjustPreview = null; // tone-adjusted canvas shown while adjusting (view only)
+
+    // Decoded pixels of the current image, read once per image
+    this._sourcePixels = null; // { image, imgData }
+    this._errorMask = null; // cached { image, key, mask } for manually clicked points
+    // Matching and extraction run here, in a Web Worker where available (scanner.js)
+    this.scanner = new PixelScanner('js/scanworker.js');
+  }
+
+  get activeSeries() { return this.series[this.activeSeriesIndex]; }
+
+  // Extracted data points of the active series
+  get dataPoints() { return this.activeSeries.points; }
+  set dataPoints(points) { this.activeSeries.points = points; }
+
+  // Region of Interest (ROI) - only extract within this rectangle
+  // null means use entire image; { x1, y1, x2, y2 } in pixel coords
+  get roi() { return this.activeSeries.roi; }
+  set roi(roi) { this.activeSeries.roi = roi; }
+
+  // Exclude regions - areas to skip (e.g., legend boxes)
+  get excludeRegions() { return this.activeSeries.excludeRegions; }
+  set excludeRegions(regions) { this.activeSeries.excludeRegions = regions; }
+
+  get targetColor() { return this.activeSeries.targetColor; }
+  set targetColor(color) { this.activeSeries.targetColor = color; }
+
+  get colorTolerance() { return this.activeSeries.colorTolerance; }
+  set colorTolerance(tol) { this.activeSeries.colorTolerance = tol; }
+
+  // Coordinate system of the calibration mode (see COORDINATE_SYSTEMS in coords.js)
+  get coordinateSystem() { return coordinateSystemFor(this.calMode); }
+
+  _createSeries(n, name) {
+    return {
+      name: name || `Series ${n + 1}`,
+      points: [],
+      targetColor: { r: 0, g: 0, b: 255 },
+      extraColors: [], // further colors that also count as this series (anti-aliasing, legends)
+      colorMetric: 'rgb', // see COLOR_METRICS in color.js
+      colorTolerance: 50,
+      roi: null,
+      excludeRegions: [],
+      markerColor: SERIES_COLORS[n % SERIES_COLORS.length],
+      errorBars: { enabled: false, color: { r: 0, g: 0, b: 0 } }, // detect error bars of this color
+      fit: null // curve fitted to the points: { model, degree } (see fit.js), null = none
+    };
+  }
+
+  addSeries(name) {
+    this._record('Add series');
+    const n = this.series.length;
+    this.series.push(this._createSeries(n, name));
+    this.activeSeriesIndex = n;
+    this.drawAll();
+    this._changed();
+    return n;
+  }
+
+  removeSeries(index) {
+    if (this.series.length <= 1 || index < 0 || index >= this.series.length) return;
+    this._record('Delete series');
+    this.series.splice(index, 1);
+    // Keep the same series active when one before it is removed
+    if (index < this.activeSeriesIndex) this.activeSeriesIndex--;
+    this.activeSeriesIndex = Math.min(this.activeSeriesIndex, this.series.length - 1);
+    this.drawAll();
+    this._changed();
+  }
+
+  renameSeries(index, name) {
+    if (this.series[index] && name.trim()) {
+      this._record('Rename series');
+      this.series[index].name = name.trim();
+      this._changed();
+    }
+  }
+
+  setSeriesMarkerColor(index, hex) {
+    if (this.series[index]) {
+      this._record('Marker color', 'marker-color');
+      this.series[index].markerColor = hex;
+      this.drawAll();
+      this._changed();
+    }
+  }
+
+  // Fit a model to the series' points (see FIT_MODELS), or null to remove the fit
+  setSeriesFit(index, fit) {
+    if (this.series[index]) {
+      this._record('Curve fit', 'fit');
+      this.series[index].fit = fit ? { model: fit.model, degree: fit.degree || 2 } : null;
+      this.drawAll();
+      this._changed();
+    }
+  }
+
+  setActiveSeries(index) {
+    if (index >= 0 && index < this.series.length) {
+      this.scanner.cancel(); // a running scan belongs to the previous series
+      this.selectedPoints.clear();
+      this.activeSeriesIndex = index;
+      this.drawAll();
+      this._changed();
+    }
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange();
+  }
+
+  // Snapshot for the undo history; the image is kept by reference (data URL)
+  _snapshot() {
+    return { state: this.getState(), imageSrc: this.imageSrc, imageName: this.imageName };
+  }
+
+  _record(label, mergeKey) {
+    this.history.record(label, this._snapshot(), mergeKey);
+  }
+
+  _restoreSnapshot(snapshot) {
+    const restore = () => {
+      this.imageName = snapshot.imageName;
+      this.setState(snapshot.state);
+      this._changed();
+    };
+    if (snapshot.imageSrc && snapshot.imageSrc !== this.imageSrc) {
+      return this.loadImage(snapshot.imageSrc).then(restore);
+    }
+    restore();
+    return Promise.resolve();
+  }
+
+  // Undo the last mutation; resolves with its label (null if nothing to undo)
+  undo() {
+    const entry = this.history.undo(this._snapshot());
+    if (!entry) return Promise.resolve(null);
+    return this._restoreSnapshot(entry.snapshot).then(() => entry.label);
+  }
+
+  redo() {
+    const entry = this.history.redo(this._snapshot());
+    if (!entry) return Promise.resolve(null);
+    return this._restoreSnapshot(entry.snapshot).then(() => entry.label);
+  }
+
+  // Serializable snapshot of everything except the image itself
+  getState() {
+    return JSON.parse(JSON.stringify({
+      calMode: this.calMode,
+      calPoints: this.calPoints,
+      calValues: this.calValues,
+      axisTicks: this.axisTicks,
+      axisMapping: this.axisMapping,
+      axisScales: this.axisScales,
+      axisNames: this.axisNames,
+      dateFormat: this.dateFormat,
+      cornerPoints: this.cornerPoints,
+      cornerValues: this.cornerValues,
+      polarPoints: this.polarPoints,
+      polarValues: this.polarValues,
+      polarOptions: this.polarOptions,
+      ternaryPoints: this.ternaryPoints,
+      ternaryTotal: this.ternaryTotal,
+      rectified: this.rectified,
+      series: this.series,
+      activeSeriesIndex: this.activeSeriesIndex,
+      extractionMethod: this.extractionMethod,
+      minPointSize: this.minPointSize,
+      maxPointSize: this.maxPointSize,
+      sampleSpacing: this.sampleSpacing,
+      barOptions: this.barOptions,
+      preprocessing: this.preprocessing,
+      resampling: this.resampling,
+      colorbar: this.colorbar,
+      colorMap: this.colorMap
+    }));
+  }
+
+  // Restore a snapshot from getState(); missing fields keep their defaults
+  setState(state) {
+    const copy = JSON.parse(JSON.stringify(state));
+    if (copy.calMode) this.calMode = copy.calMode;
+    if (copy.calPoints) this.calPoints = copy.calPoints;
+    if (copy.calValues) this.calValues = copy.calValues;
+    if (copy.axisTicks) this.axisTicks = Object.assign({ x: [], y: [] }, copy.axisTicks);
+    if (copy.axisMapping) this.axisMapping = Object.assign({ x: 'two-point', y: 'two-point' }, copy.axisMapping);
+    if (copy.axisScales) this.axisScales = copy.axisScales;
+    if (copy.axisNames) this.axisNames = Object.assign({ x: '', y: '' }, copy.axisNames);
+    if (copy.dateFormat) this.dateFormat = Object.assign(this.dateFormat, copy.dateFormat);
+    if (copy.cornerPoints) this.cornerPoints = copy.cornerPoints;
+    if (copy.cornerValues) this.cornerValues = copy.cornerValues;
+    if (copy.polarPoints) this.polarPoints = copy.polarPoints;
+    if (copy.polarValues) this.polarValues = copy.polarValues;
+    if (copy.polarOptions) this.polarOptions = Object.assign(this.polarOptions, copy.polarOptions);
+    if (copy.ternaryPoints) this.ternaryPoints = copy.ternaryPoints;
+    if (copy.ternaryTotal) this.ternaryTotal = copy.ternaryTotal;
+    this.rectified = !!copy.rectified;
+    if (Array.isArray(copy.series) && copy.series.length > 0) {
+      // Fill in fields added since the state was saved
+      this.series = copy.series.map((series, i) => Object.assign(this._createSeries(i), series));
+      this.activeSeriesIndex = Math.min(copy.activeSeriesIndex || 0, this.series.length - 1);
+    }
+    if (copy.extractionMethod) this.extractionMethod = copy.extractionMethod;
+    if (copy.minPointSize) this.minPointSize = copy.minPointSize;
+    if (copy.maxPointSize) this.maxPointSize = copy.maxPointSize;
+    if (copy.sampleSpacing !== undefined) this.sampleSpacing = copy.sampleSpacing;
+    if (copy.barOptions) this.barOptions = Object.assign(this.barOptions, copy.barOptions);
+    if (copy.preprocessing) this.preprocessing = Object.assign(this.preprocessing, copy.preprocessing);
+    if (copy.resampling) this.resampling = Object.assign(this.resampling, copy.resampling);
+    if (copy.colorbar) this.colorbar = Object.assign(this.colorbar, copy.colorbar);
+    if (copy.colorMap) this.colorMap = Object.assign(this.colorMap, copy.colorMap);
+    this.checkCalibration();
+    this.drawAll();
+  }
+
+  // Full project: state plus the image embedded as a data URL (see project.js)
+  toProject() {
+    return {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      savedAt: new Date().toISOString(),
+      imageName: this.imageName,
+      image: this.imageSrc,
+      state: this.getState()
+    };
+  }
+
+  // Source image, calibration and settings behind the exported numbers, for the JSON
+  // export and the workbook's info sheet
+  getExportInfo() {
+    // Calibration values of date axes as ISO 8601 text
+    const value = (axis, v) => (this.isDateAxis(axis) ? formatDateTime(v, 'iso', this.dateFormat.timezone) : v);
+    let points;
+    if (this.calMode === 'perspective') {
+      points = this.cornerPoints.map((p, i) => ({ pixel: p, value: { x: value('x', this.cornerValues[i].x), y: value('y', this.cornerValues[i].y) } }));
+    } else if (this.calMode === 'polar') {
+      points = [
+        { point: 'origin', pixel: this.polarPoints.origin, value: { r: this.polarValues.origin } },
+        { point: 'angle', pixel: this.polarPoints.angle, value: { theta: this.polarValues.angle } },
+        { point: 'radius', pixel: this.polarPoints.radius, value: { r: this.polarValues.radius } }
+      ];
+    } else if (this.calMode === 'ternary') {
+      points = this.ternaryPoints.map((p, i) => ({ point: 'ABC'[i], pixel: p, value: this.ternaryTotal }));
+    } else {
+      points = ['x1', 'x2', 'y1', 'y2'].map(key => ({ axis: key, pixel: this.calPoints[key], value: value(key[0], this.calValues[key]) }));
+      for (const axis of ['x', 'y']) {
+        this.axisTicks[axis].forEach(t => points.push({
+          axis, pixel: { x: t.x, y: t.y }, value: value(axis, t.value), breakBefore: t.breakBefore
+        }));
+      }
+    }
+    const calibration = {
+      mode: this.calMode,
+      axisScales: { ...this.axisScales },
+      axisNames: { ...this.axisNames },
+      columns: this.getAxisTitles(),
+      ...(this.calMode === 'axes' ? { mapping: { ...this.axisMapping } } : {}),
+      ...(this.calMode === 'polar' ? { polar: { ...this.polarOptions } } : {}),
+      points,
+      rectified: this.rectified,
+      valid: this.calibrated
+    };
+    return {
+      image: {
+        name: this.imageName,
+        width: this.image ? this.image.width : null,
+        height: this.image ? this.image.height : null
+      },
+      calibration,
+      settings: JSON.parse(JSON.stringify({
+        extractionMethod: this.extractionMethod,
+        sampleSpacing: this.sampleSpacing,
+        minPointSize: this.minPointSize,
+        maxPointSize: this.maxPointSize,
+        barOptions: this.barOptions,
+        preprocessing: this.preprocessing,
+        resampling: this.resampling,
+        dateFormat: this.dateFormat,
+        colorbar: this.colorbar,
+        colorMap: this.colorMap
+      })),
+      seriesSettings: this.series.map(s => ({
+        name: s.name,
+        targetColor: { ...s.targetColor },
+        colorMetric: s.colorMetric,
+        colorTolerance: s.colorTolerance,
+        roi: s.roi,
+        fit: s.fit
+      }))
+    };
+  }
+
+  loadProject(project) {
+    return this.loadImage(project.image).then(() => {
+      this.imageName = project.imageName || '';
+      this.setState(project.state || {});
+      this.history.clear();
+      this._changed();
+    });
+  }
+
+  // Load a new image as an undoable step (calibration and points are kept)
+  openImage(dataUrl, name) {
+    if (this.image) this._record('Load image');
+    this.imageName = name;
+    return this.loadImage(dataUrl);
   }
 
   loadImage(dataUrl) {
     return new Promise((resolve, reject) => {
       const img = new Image();
       img.onload = () => {
+        this.scanner.cancel();
         this.image = img;
+        this.imageSrc = dataUrl;
+        this.adjustPreview = null;
         this.canvas.width = img.width;
         this.canvas.height = img.height;
         this.drawAll();
+        this._changed();
         resolve();
       };
-      img.onerror = reject;
+      img.onerror = () => reject(new Error('Could not load the image'));
       img.src = dataUrl;
     });
   }
@@ -49,21 +437,53 @@ class GraphDigitizer {
   drawAll() {
     if (!this.image) return;
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.drawImage(this.image, 0, 0);
+    // The working copy once the scanner has made it; the original until then
+    const processed = this.showProcessed ? this._getProcessed() : null;
+    const base = processed ? processed.canvas : (this.adjustPreview || this.image);
+    this.ctx.drawImage(base, 0, 0);
+
+    // Draw calibrated axis directions (shows tilt on rotated scans)
+    if (this.calibrated && this.calMode === 'axes') {
+      const { x1, x2, y1, y2 } = this.calPoints;
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([5, 4]);
+      this.ctx.strokeStyle = '#f97316';
+      this.ctx.beginPath(); this.ctx.moveTo(x1.x, x1.y); this.ctx.lineTo(x2.x, x2.y); this.ctx.stroke();
+      this.ctx.strokeStyle = '#10b981';
+      this.ctx.beginPath(); this.ctx.moveTo(y1.x, y1.y); this.ctx.lineTo(y2.x, y2.y); this.ctx.stroke();
+      this.ctx.setLineDash([]);
+    }
 
     // Draw calibration points
-    const calColors = { x1: '#e11d48', x2: '#f97316', y1: '#2563eb', y2: '#10b981' };
-    const calLabels = { x1: 'X₁', x2: 'X₂', y1: 'Y₁', y2: 'Y₂' };
-    for (const key of ['x1', 'x2', 'y1', 'y2']) {
-      const pt = this.calPoints[key];
-      if (pt) {
-        this.drawMarker(pt.x, pt.y, calColors[key], calLabels[key]);
+    if (this.calMode === 'perspective') {
+      this.drawCorners();
+    } else if (this.calMode === 'polar') {
+      this.drawPolarCalibration();
+    } else if (this.calMode === 'ternary') {
+      this.drawTernaryCalibration();
+    } else {
+      const calColors = { x1: '#e11d48', x2: '#f97316', y1: '#2563eb', y2: '#10b981' };
+      const calLabels = { x1: 'X₁', x2: 'X₂', y1: 'Y₁', y2: 'Y₂' };
+      for (const key of ['x1', 'x2', 'y1', 'y2']) {
+        const pt = this.calPoints[key];
+        if (pt) {
+          this.drawMarker(pt.x, pt.y, calColors[key], calLabels[key]);
+        }
+      }
+      // Extra ticks, numbered on from X₁/X₂; // marks a break before the tick
+      for (const axis of ['x', 'y']) {
+        this.axisTicks[axis].forEach((t, i) => {
+          const label = `${axis.toUpperCase()}${i + 3}${t.breakBefore ? ' //' : ''}`;
+          this.drawMarker(t.x, t.y, calColors[`${axis}2`], label);
+        });
       }
     }
 
-    // Draw ROI rectangle
-    if (this.roi) {
-      const r = this.roi;
+    // Draw ROI rectangle (a region being dragged out is previewed in place of the saved one)
+    const draft = this.draftRegion;
+    const roi = draft && (draft.kind === 'roi' || draft.kind === 'crop') ? draft : this.roi;
+    if (roi) {
+      const r = roi;
       const rx = Math.min(r.x1, r.x2);
       const ry = Math.min(r.y1, r.y2);
       const rw = Math.abs(r.x2 - r.x1);
@@ -83,12 +503,13 @@ class GraphDigitizer {
       // Label
       this.ctx.fillStyle = '#f97316';
       this.ctx.font = 'bold 12px sans-serif';
-      this.ctx.fillText('Data Region', rx + 4, ry - 4);
+      this.ctx.fillText(roi.kind === 'crop' ? 'Crop' : 'Data Region', rx + 4, ry - 4);
     }
 
     // Draw exclude regions
-    for (let i = 0; i < this.excludeRegions.length; i++) {
-      const e = this.excludeRegions[i];
+    const excludes = draft && draft.kind === 'exclude' ? [...this.excludeRegions, draft] : this.excludeRegions;
+    for (let i = 0; i < excludes.length; i++) {
+      const e = excludes[i];
       const ex = Math.min(e.x1, e.x2);
       const ey = Math.min(e.y1, e.y2);
       const ew = Math.abs(e.x2 - e.x1);
@@ -108,17 +529,140 @@ class GraphDigitizer {
       this.ctx.fillText(`Exclude ${i + 1}`, ex + 3, ey - 3);
     }
 
-    // Draw data points
-    for (let i = 0; i < this.dataPoints.length; i++) {
-      const pt = this.dataPoints[i];
+    // Draw data points of every series; inactive series are drawn fainter
+    this.series.forEach((series, si) => {
+      this.ctx.globalAlpha = si === this.activeSeriesIndex ? 0.8 : 0.4;
+      this.drawErrorBars(series);
+      for (let i = 0; i < series.points.length; i++) {
+        const pt = series.points[i];
+        this.ctx.beginPath();
+        this.ctx.arc(pt.px, pt.py, 4, 0, 2 * Math.PI);
+        this.ctx.fillStyle = series.markerColor;
+        this.ctx.fill();
+        this.ctx.strokeStyle = 'white';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+      }
+    });
+    this.ctx.globalAlpha = 1;
+
+    if (this.calibrated) {
+      this.series.forEach((series, si) => {
+        if (series.fit) this.drawFit(si);
+      });
+    }
+    if (this.resampling.enabled && this.calibrated) this.drawResampled();
+
+    // Selected points get a ring
+    this.ctx.strokeStyle = '#111827';
+    this.ctx.lineWidth = 2;
+    for (const pt of this.dataPoints) {
+      if (!this.selectedPoints.has(pt)) continue;
       this.ctx.beginPath();
-      this.ctx.arc(pt.px, pt.py, 4, 0, 2 * Math.PI);
-      this.ctx.fillStyle = 'rgba(255, 0, 0, 0.7)';
-      this.ctx.fill();
-      this.ctx.strokeStyle = 'white';
-      this.ctx.lineWidth = 1;
+      this.ctx.arc(pt.px, pt.py, 7, 0, 2 * Math.PI);
       this.ctx.stroke();
     }
+
+    // Rubber-band selection being dragged out
+    if (draft && draft.kind === 'select') {
+      this.ctx.strokeStyle = '#2563eb';
+      this.ctx.fillStyle = 'rgba(37, 99, 235, 0.1)';
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([4, 3]);
+      const x = Math.min(draft.x1, draft.x2), y = Math.min(draft.y1, draft.y2);
+      const w = Math.abs(draft.x2 - draft.x1), h = Math.abs(draft.y2 - draft.y1);
+      this.ctx.fillRect(x, y, w, h);
+      this.ctx.strokeRect(x, y, w, h);
+      this.ctx.setLineDash([]);
+    }
+
+    this.drawColorbar(draft && draft.kind === 'colorbar' ? draft : this.colorbar.line);
+  }
+
+  // Colorbar line (saved or being dragged out) with its end values
+  drawColorbar(line) {
+    if (!line) return;
+    const ctx = this.ctx;
+    ctx.strokeStyle = '#db2777';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 3]);
+    ctx.beginPath(); ctx.moveTo(line.x1, line.y1); ctx.lineTo(line.x2, line.y2); ctx.stroke();
+    ctx.setLineDash([]);
+    this.drawMarker(line.x1, line.y1, '#db2777', String(this.colorbar.min));
+    this.drawMarker(line.x2, line.y2, '#db2777', String(this.colorbar.max));
+  }
+
+  // Resampled curve of the active series: the interpolating line through small squares
+  // at the grid X values
+  drawResampled() {
+    const ctx = this.ctx;
+    const pts = this.getResampledPoints().map(p => this.dataToPixel(p.x, p.y));
+    if (pts.length === 0) return;
+    ctx.strokeStyle = this.activeSeries.markerColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    pts.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.stroke();
+    ctx.fillStyle = 'white';
+    for (const p of pts) {
+      ctx.fillRect(p.x - 2.5, p.y - 2.5, 5, 5);
+      ctx.strokeRect(p.x - 2.5, p.y - 2.5, 5, 5);
+    }
+  }
+
+  // Fitted curve of a series as a dashed line across the X range of its points,
+  // sampled evenly along the X axis as drawn (so log axes get smooth curves)
+  drawFit(seriesIndex) {
+    const fit = this.getFit(seriesIndex);
+    if (!fit) return;
+    const ctx = this.ctx;
+    const sx = getAxisScale(this.axisScales.x);
+    const xs = this.series[seriesIndex].points.map(p => sx.toLinear(p.x)).filter(isFinite);
+    const lo = Math.min(...xs), hi = Math.max(...xs);
+    const samples = 200;
+    ctx.globalAlpha = seriesIndex === this.activeSeriesIndex ? 0.9 : 0.4;
+    ctx.strokeStyle = this.series[seriesIndex].markerColor;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    let drawing = false;
+    for (let i = 0; i <= samples; i++) {
+      const x = sx.fromLinear(lo + (hi - lo) * i / samples);
+      const p = this.dataToPixel(x, evaluateFit(fit, x));
+      // Break the line where the model or the axis scale is undefined
+      if (!isFinite(p.x) || !isFinite(p.y)) {
+        drawing = false;
+        continue;
+      }
+      if (drawing) ctx.lineTo(p.x, p.y);
+      else ctx.moveTo(p.x, p.y);
+      drawing = true;
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+  }
+
+  // Error bars of the series' points, drawn from the stored values in the series color
+  drawErrorBars(series) {
+    if (!this.calibrated) return;
+    const ctx = this.ctx;
+    ctx.strokeStyle = series.markerColor;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (const pt of series.points) {
+      const segments = [
+        [pt.yErrLow, pt.yErrHigh, (d) => this.dataToPixel(pt.x, pt.y + d)],
+        [pt.xErrLow, pt.xErrHigh, (d) => this.dataToPixel(pt.x + d, pt.y)]
+      ];
+      for (const [low, high, at] of segments) {
+        if (!low && !high) continue;
+        const a = at(-(low || 0)), b = at(high || 0);
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+      }
+    }
+    ctx.stroke();
   }
 
   drawMarker(x, y, color, label) {
@@ -140,75 +684,717 @@ class GraphDigitizer {
     ctx.fillText(label, x + 10, y - 8);
   }
 
+  // Plot-frame outline and corner markers for perspective calibration
+  drawCorners() {
+    const ctx = this.ctx;
+    const pts = this.cornerPoints;
+    if (pts.every(p => p)) {
+      ctx.strokeStyle = '#7c3aed';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([5, 4]);
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      for (let i = 1; i < 4; i++) ctx.lineTo(pts[i].x, pts[i].y);
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    pts.forEach((pt, i) => {
+      if (pt) this.drawMarker(pt.x, pt.y, '#7c3aed', `C${i + 1}`);
+    });
+  }
+
+  // Origin, angle reference ray and radius circle for polar calibration
+  drawPolarCalibration() {
+    const ctx = this.ctx;
+    const { origin, angle, radius } = this.polarPoints;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([5, 4]);
+    if (origin && angle) {
+      ctx.strokeStyle = '#f97316';
+      ctx.beginPath(); ctx.moveTo(origin.x, origin.y); ctx.lineTo(angle.x, angle.y); ctx.stroke();
+    }
+    if (origin && radius) {
+      ctx.strokeStyle = '#10b981';
+      ctx.beginPath();
+      ctx.arc(origin.x, origin.y, Math.hypot(radius.x - origin.x, radius.y - origin.y), 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    if (origin) this.drawMarker(origin.x, origin.y, '#e11d48', 'O');
+    if (angle) this.drawMarker(angle.x, angle.y, '#f97316', 'θ');
+    if (radius) this.drawMarker(radius.x, radius.y, '#10b981', 'r');
+  }
+
+  // Triangle outline and corner markers for ternary calibration
+  drawTernaryCalibration() {
+    const ctx = this.ctx;
+    const pts = this.ternaryPoints;
+    if (pts.every(p => p)) {
+      ctx.strokeStyle = '#7c3aed';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([5, 4]);
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      ctx.lineTo(pts[1].x, pts[1].y);
+      ctx.lineTo(pts[2].x, pts[2].y);
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    pts.forEach((pt, i) => {
+      if (pt) this.drawMarker(pt.x, pt.y, '#7c3aed', 'ABC'[i]);
+    });
+  }
+
+  // Switching to polar or ternary fixes the scales of their angle and share axes to linear
+  setCalibrationMode(mode) {
+    this._record('Calibration mode');
+    this.calMode = CALIBRATION_MODES.includes(mode) ? mode : 'axes';
+    for (const axis of this.coordinateSystem.linearAxes) this.axisScales[axis] = 'linear';
+    this.checkCalibration();
+    this.drawAll();
+    this._changed();
+  }
+
+  setCornerPoint(index, px, py) {
+    this._record('Set corner');
+    this.cornerPoints[index] = { x: px, y: py };
+    this.rectified = false;
+    this.checkCalibration();
+    this.drawAll();
+    this._changed();
+  }
+
+  setCornerValue(index, axis, value) {
+    this._record('Corner value');
+    this.cornerValues[index][axis] = this.parseAxisValue(axis, value);
+    this.checkCalibration();
+    this._changed();
+  }
+
+  setPolarPoint(key, px, py) {
+    this._record('Polar point');
+    this.polarPoints[key] = { x: px, y: py };
+    this.checkCalibration();
+    this.drawAll();
+    this._changed();
+  }
+
+  // The angle is a plain number in the chosen unit; radii follow the Y (radius) scale
+  setPolarValue(key, value) {
+    this._record('Polar value');
+    this.polarValues[key] = key === 'angle' ? parseFloat(value) || 0 : this.parseAxisValue('y', value);
+    this.checkCalibration();
+    this._changed();
+  }
+
+  setPolarOption(key, value) {
+    this._record('Polar option');
+    if (key === 'unit') this.polarOptions.unit = value === 'rad' ? 'rad' : 'deg';
+    else this.polarOptions.direction = value === 'cw' ? 'cw' : 'ccw';
+    this.checkCalibration();
+    this.drawAll();
+    this._changed();
+  }
+
+  setTernaryPoint(index, px, py) {
+    this._record('Ternary corner');
+    this.ternaryPoints[index] = { x: px, y: py };
+    this.checkCalibration();
+    this.drawAll();
+    this._changed();
+  }
+
+  setTernaryTotal(value) {
+    this._record('Ternary total');
+    this.ternaryTotal = parseFloat(value) || 0;
+    this.checkCalibration();
+    this._changed();
+  }
+
   setCalibrationPoint(key, px, py) {
+    this._record('Calibration point');
     this.calPoints[key] = { x: px, y: py };
     this.checkCalibration();
     this.drawAll();
+    this._changed();
+  }
+
+  // Find the axes and their ticks (axisdetect.js) and, if found, use them as the axes
+  // calibration points and the active series' data region. The numeric values are left
+  // for the user to confirm. Returns the detection result or null.
+  detectAxesCalibration() {
+    if (!this.image) return null;
+    // The original pixels: grid line removal would erase the axes too
+    const imgData = this._getSourcePixels();
+    const found = detectAxes(imgData.data, imgData.width, imgData.height);
+    if (!found) return null;
+
+    this._record('Detect axes');
+    this.calMode = 'axes';
+    this.calPoints = found.calPoints;
+    this.roi = found.roi;
+    this.checkCalibration();
+    this.drawAll();
+    this._changed();
+    return found;
   }
 
   setCalibrationValue(key, value) {
-    this.calValues[key] = parseFloat(value) || 0;
+    this._record('Calibration value');
+    this.calValues[key] = this.parseAxisValue(key[0], value);
+    this.checkCalibration();
+    this._changed();
+  }
+
+  // Add a tick on an axis at a clicked pixel; its value starts at what the current
+  // calibration reads there, ready to be corrected
+  addAxisTick(axis, px, py) {
+    this._record('Axis tick');
+    const value = this.calibrated ? this._roundValue(this.pixelToData(px, py)[axis], axis) : 0;
+    this.axisTicks[axis].push({ x: px, y: py, value, breakBefore: false });
+    this.checkCalibration();
+    this.drawAll();
+    this._changed();
+    return this.axisTicks[axis].length - 1;
+  }
+
+  setAxisTickValue(axis, index, value) {
+    this._record('Axis tick value');
+    this.axisTicks[axis][index].value = this.parseAxisValue(axis, value, this.axisTicks[axis][index].value);
+    this.checkCalibration();
+    this._changed();
+  }
+
+  // Marking a break on a two-point axis switches it to piecewise, since only the
+  // tick mappings place the values on either side of the gap
+  setAxisTickBreak(axis, index, breakBefore) {
+    this._record('Axis break');
+    this.axisTicks[axis][index].breakBefore = !!breakBefore;
+    if (breakBefore && this.axisMapping[axis] === 'two-point') {
+      this.axisMapping[axis] = 'piecewise';
+      this.checkCalibration();
+    }
+    this.drawAll();
+    this._changed();
+  }
+
+  removeAxisTick(axis, index) {
+    this._record('Remove axis tick');
+    this.axisTicks[axis].splice(index, 1);
     this.checkCalibration();
+    this.drawAll();
+    this._changed();
+  }
+
+  setAxisMapping(axis, method) {
+    this._record('Axis mapping');
+    this.axisMapping[axis] = method === 'piecewise' || method === 'least-squares' ? method : 'two-point';
+    this.checkCalibration();
+    this.drawAll();
+    this._changed();
+  }
+
+  // Ticks an axis maps through: X-min/X-max (or Y) and the extra ticks, or none when
+  // the axis uses the plain two-point mapping
+  _mappedTicks(axis) {
+    if (this.calMode !== 'axes' || this.axisMapping[axis] === 'two-point') return [];
+    return [
+      { x: null, y: null, value: this.calValues[`${axis}1`], breakBefore: false },
+      { x: null, y: null, value: this.calValues[`${axis}2`], breakBefore: false },
+      ...this.axisTicks[axis]
+    ];
+  }
+
+  // Value ranges { from, to } of an axis's breaks (see axisTicks), lowest first
+  getAxisBreaks(axis) {
+    const ticks = this._mappedTicks(axis).slice().sort((a, b) => a.value - b.value);
+    const breaks = [];
+    ticks.forEach((t, i) => {
+      if (t.breakBefore && i > 0) breaks.push({ from: ticks[i - 1].value, to: t.value });
+    });
+    return breaks;
+  }
+
+  setAxisScale(axis, scale) {
+    this._record('Axis scale');
+    const fixed = this.coordinateSystem.linearAxes.includes(axis);
+    const wasDate = this.isDateAxis(axis);
+    this.axisScales[axis] = AXIS_SCALES[scale] && !fixed ? scale : 'linear';
+    if (axis === 'x' && wasDate !== this.isDateAxis('x')) {
+      // The grid's units change between milliseconds and plain numbers
+      this.resampling.step = wasDate ? 1 : DAY_MS;
+      this.resampling.start = null;
+      this.resampling.end = null;
+    }
+    this.checkCalibration();
+    this._changed();
+  }
+
+  setDateFormat(key, value) {
+    this._record('Date format', `date-${key}`);
+    if (key === 'format') this.dateFormat.format = DATE_FORMATS[value] ? value : 'datetime';
+    else this.dateFormat.timezone = value === 'utc' ? 'utc' : 'local';
+    this.drawAll();
+    this._changed();
+  }
+
+  isDateAxis(axis) {
+    return this.axisScales[axis] === 'date';
+  }
+
+  // Value typed for an axis: a date or time on date axes (NaN if unreadable; a bare
+  // time keeps the date of `reference`), otherwise a number (0 if unreadable)
+  parseAxisValue(axis, text, reference) {
+    if (!this.isDateAxis(axis)) return parseFloat(text) || 0;
+    return parseDateTime(text, { ...this.dateFormat, reference });
+  }
+
+  // An axis value as shown in the table and inputs: formatted on date axes (in the
+  // chosen format, or as editable date and time text when `editable` is set)
+  formatAxisValue(axis, value, editable) {
+    if (!this.isDateAxis(axis)) return value;
+    const format = editable && (this.dateFormat.format === 'date' || this.dateFormat.format === 'time')
+      ? 'datetime' : this.dateFormat.format;
+    return formatDateTime(value, format, this.dateFormat.timezone);
+  }
+
+  // Column titles { x, y } (plus z for ternary C): the typed axis names, or the
+  // coordinate system's own (X / Y, θ / r, A / B / C)
+  getAxisTitles() {
+    const titles = this.coordinateSystem.titles(this.polarOptions);
+    if (this.axisNames.x) titles.x = this.axisNames.x;
+    if (this.axisNames.y) titles.y = this.axisNames.y;
+    return titles;
+  }
+
+  setAxisName(axis, name) {
+    this._record('Axis name', `axis-name-${axis}`);
+    this.axisNames[axis] = name.trim();
+    this._changed();
+  }
+
+  // Check the typed calibration values against the axis scales
+  // Returns a list of human-readable problems (empty when valid)
+  validateCalibration() {
+    if (this.calMode === 'perspective') return this._validateCorners();
+    if (this.calMode === 'polar') return this._validatePolar();
+    if (this.calMode === 'ternary') {
+      return this.ternaryTotal > 0 ? [] : ['Ternary total must be greater than 0'];
+    }
+
+    const names = { x1: 'X-min', x2: 'X-max', y1: 'Y-min', y2: 'Y-max' };
+    const errors = [];
+    for (const axis of ['x', 'y']) {
+      const scale = getAxisScale(this.axisScales[axis]);
+      let valid = true;
+      for (const key of [`${axis}1`, `${axis}2`]) {
+        const err = scale.validate(this.calValues[key]);
+        if (err) {
+          errors.push(`${names[key]} value ${err}`);
+          valid = false;
+        }
+      }
+      if (valid && this.calValues[`${axis}1`] === this.calValues[`${axis}2`]) {
+        errors.push(`${names[`${axis}1`]} and ${names[`${axis}2`]} values must differ`);
+      }
+      if (this.axisMapping[axis] === 'two-point') continue;
+      this.axisTicks[axis].forEach((tick, i) => {
+        const err = scale.validate(tick.value);
+        if (err) errors.push(`${axis.toUpperCase()} tick ${i + 3} value ${err}`);
+      });
+    }
+    return errors;
+  }
+
+  _validateCorners() {
+    const errors = [];
+    this.cornerValues.forEach((val, i) => {
+      for (const axis of ['x', 'y']) {
+        const err = getAxisScale(this.axisScales[axis]).validate(val[axis]);
+        if (err) errors.push(`Corner ${i + 1} ${axis.toUpperCase()} value ${err}`);
+      }
+    });
+    return errors;
+  }
+
+  _validatePolar() {
+    const errors = [];
+    const scale = getAxisScale(this.axisScales.y);
+    for (const key of ['origin', 'radius']) {
+      const err = scale.validate(this.polarValues[key]);
+      if (err) errors.push(`Radius at the ${key === 'origin' ? 'origin' : 'radius point'} ${err}`);
+    }
+    if (errors.length === 0 && this.polarValues.origin === this.polarValues.radius) {
+      errors.push('Radius at the origin and at the radius point must differ');
+    }
+    return errors;
   }
 
   checkCalibration() {
     const { x1, x2, y1, y2 } = this.calPoints;
-    this.calibrated = !!(x1 && x2 && y1 && y2);
+    this.calErrors = this.validateCalibration();
+    this.transform = null;
+
+    if (this.calMode === 'perspective') {
+      if (this.cornerPoints.every(p => p) && this.calErrors.length === 0) {
+        const sx = getAxisScale(this.axisScales.x);
+        const sy = getAxisScale(this.axisScales.y);
+        this.transform = solvePerspectiveCalibration(
+          this.cornerPoints,
+          this.cornerValues.map(v => ({ u: sx.toLinear(v.x), v: sy.toLinear(v.y) }))
+        );
+        if (!this.transform) {
+          this.calErrors.push('Three of the corners (or their values) lie on one line');
+        }
+      }
+    } else if (this.calMode === 'polar') {
+      const { origin, angle, radius } = this.polarPoints;
+      if (origin && angle && radius && this.calErrors.length === 0) {
+        const sy = getAxisScale(this.axisScales.y);
+        this.transform = solvePolarCalibration(this.polarPoints, {
+          angle: this.polarValues.angle,
+          radius: sy.toLinear(this.polarValues.radius),
+          originRadius: sy.toLinear(this.polarValues.origin)
+        }, this.polarOptions);
+        if (!this.transform) {
+          this.calErrors.push('The angle and radius points must not lie on the origin');
+        }
+      }
+    } else if (this.calMode === 'ternary') {
+      if (this.ternaryPoints.every(p => p) && this.calErrors.length === 0) {
+        this.transform = solveTernaryCalibration(this.ternaryPoints, this.ternaryTotal);
+        if (!this.transform) {
+          this.calErrors.push('The three ternary corners lie on one line');
+        }
+      }
+    } else if (x1 && x2 && y1 && y2 && this.calErrors.length === 0) {
+      const sx = getAxisScale(this.axisScales.x);
+      const sy = getAxisScale(this.axisScales.y);
+      this.transform = solveAxesCalibration(this.calPoints, {
+        x1: sx.toLinear(this.calValues.x1), x2: sx.toLinear(this.calValues.x2),
+        y1: sy.toLinear(this.calValues.y1), y2: sy.toLinear(this.calValues.y2)
+      });
+      if (!this.transform) {
+        this.calErrors.push('Calibration points are coincident or the X and Y axes are parallel');
+      } else if (this._mappedTicks('x').length > 2 || this._mappedTicks('y').length > 2) {
+        this.transform = this._withAxisMappings(this.transform);
+      }
+    }
+
+    this.calibrated = !!this.transform;
     return this.calibrated;
   }
 
+  // The two-point axes solution passed through each axis's extra ticks (see
+  // solveAxisMapping); null, with the problem in calErrors, when a mapping fails
+  _withAxisMappings(base) {
+    const maps = {};
+    for (const axis of ['x', 'y']) {
+      const ticks = this._mappedTicks(axis);
+      if (ticks.length <= 2) continue;
+      const scale = getAxisScale(this.axisScales[axis]);
+      const key = axis === 'x' ? 'u' : 'v';
+      maps[axis] = solveAxisMapping(ticks.map((t, i) => ({
+        // X-min/X-max sit where the two-point solution puts their own values
+        at: i < 2 ? scale.toLinear(t.value) : base.toData(t.x, t.y)[key],
+        value: scale.toLinear(t.value)
+      })), this.axisMapping[axis]);
+      if (!maps[axis]) {
+        this.calErrors.push(`${axis.toUpperCase()} tick values don't rise or fall steadily along the axis` +
+          (this.axisMapping[axis] === 'least-squares' ? ' (try piecewise)' : ''));
+        return null;
+      }
+    }
+    return withAxisMappings(base, maps.x, maps.y);
+  }
+
   // Convert pixel coordinates to real data coordinates
+  // Uses the full affine solution, so rotated or skewed scans map correctly
   pixelToData(px, py) {
     if (!this.calibrated) return { x: px, y: py };
+    const { u, v } = this.transform.toData(px, py);
+    return {
+      x: getAxisScale(this.axisScales.x).fromLinear(u),
+      y: getAxisScale(this.axisScales.y).fromLinear(v)
+    };
+  }
 
-    const { x1, x2, y1, y2 } = this.calPoints;
-    const vx1 = this.calValues.x1, vx2 = this.calValues.x2;
-    const vy1 = this.calValues.y1, vy2 = this.calValues.y2;
+  // Convert real data coordinates back to pixel coordinates (inverse of pixelToData)
+  dataToPixel(x, y) {
+    if (!this.calibrated) return { x, y };
+    return this.transform.toPixel(
+      getAxisScale(this.axisScales.x).toLinear(x),
+      getAxisScale(this.axisScales.y).toLinear(y)
+    );
+  }
+
+  // Resample the image so the perspective-calibrated plot frame becomes an upright
+  // rectangle. Calibration corners, points and regions move with the image, so
+  // column scanning in autoExtract then runs on straightened pixels.
+  rectifyImage() {
+    if (!this.image || this.calMode !== 'perspective' || !this.calibrated) {
+      return Promise.resolve(false);
+    }
+    this._record('Rectify image');
+
+    const corners = this.cornerPoints;
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const frameW = Math.round(Math.max(dist(corners[0], corners[1]), dist(corners[3], corners[2])));
+    const frameH = Math.round(Math.max(dist(corners[0], corners[3]), dist(corners[1], corners[2])));
+    const margin = Math.round(Math.max(frameW, frameH) * 0.1);
+    const outW = frameW + 2 * margin;
+    const outH = frameH + 2 * margin;
+
+    // Linear data-space box covered by the frame
+    const lin = this.cornerPoints.map(p => this.transform.toData(p.x, p.y));
+    const uMin = Math.min(...lin.map(p => p.u)), uMax = Math.max(...lin.map(p => p.u));
+    const vMin = Math.min(...lin.map(p => p.v)), vMax = Math.max(...lin.map(p => p.v));
+    // Keep the photo's orientation for reversed axes (values decreasing right or up)
+    const flipU = lin[1].u < lin[0].u;
+    const flipV = lin[3].v < lin[0].v;
+    const toOut = (u, v) => ({
+      x: margin + (flipU ? uMax - u : u - uMin) / (uMax - uMin) * frameW,
+      y: margin + (flipV ? v - vMin : vMax - v) / (vMax - vMin) * frameH
+    });
+    const fromOut = (x, y) => {
+      const fu = (x - margin) / frameW * (uMax - uMin);
+      const fv = (y - margin) / frameH * (vMax - vMin);
+      return { u: flipU ? uMax - fu : uMin + fu, v: flipV ? vMin + fv : vMax - fv };
+    };
 
-    // Linear interpolation
-    const realX = vx1 + (px - x1.x) / (x2.x - x1.x) * (vx2 - vx1);
-    const realY = vy1 + (py - y1.y) / (y2.y - y1.y) * (vy2 - vy1);
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = this.image.width;
+    tempCanvas.height = this.image.height;
+    const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
+    tempCtx.drawImage(this.image, 0, 0);
+    const src = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
+
+    const outCanvas = document.createElement('canvas');
+    outCanvas.width = outW;
+    outCanvas.height = outH;
+    const outCtx = outCanvas.getContext('2d');
+    const out = outCtx.createImageData(outW, outH);
+    for (let y = 0; y < outH; y++) {
+      for (let x = 0; x < outW; x++) {
+        const { u, v } = fromOut(x + 0.5, y + 0.5);
+        const p = this.transform.toPixel(u, v);
+        this._sampleBilinear(src, p.x - 0.5, p.y - 0.5, out.data, (y * outW + x) * 4);
+      }
+    }
+    outCtx.putImageData(out, 0, 0);
+
+    // Move everything that lives in pixel space into the rectified frame
+    this._remapPixelSpace((px, py) => {
+      const { u, v } = this.transform.toData(px, py);
+      return toOut(u, v);
+    }, outW, outH);
+    this.cornerPoints = lin.map(p => toOut(p.u, p.v));
+    // The colorbar moves along when it lies inside the rectified image
+    if (this.colorbar.line) {
+      const { x1, y1, x2, y2 } = this.colorbar.line;
+      const ends = [[x1, y1], [x2, y2]].map(([x, y]) => {
+        const { u, v } = this.transform.toData(x, y);
+        return toOut(u, v);
+      });
+      this.colorbar.line = ends.every(p => p.x >= 0 && p.y >= 0 && p.x <= outW && p.y <= outH)
+        ? { x1: ends[0].x, y1: ends[0].y, x2: ends[1].x, y2: ends[1].y } : null;
+    }
+
+    return this.loadImage(outCanvas.toDataURL('image/png')).then(() => {
+      this.rectified = true;
+      this.checkCalibration();
+      this.drawAll();
+      return true;
+    });
+  }
+
+  // Move the series' points, data regions and exclude regions to a new image frame,
+  // and the calibration clicks of every mode with them (also the modes not in use, so
+  // switching back still finds them). remap(px, py) => { x, y }; regions become the
+  // bounding box of their mapped corners, clipped to the new width x height.
+  _remapPixelSpace(remap, width, height) {
+    const remapRect = (r) => {
+      const pts = [remap(r.x1, r.y1), remap(r.x2, r.y1), remap(r.x2, r.y2), remap(r.x1, r.y2)];
+      return {
+        x1: Math.round(Math.max(0, Math.min(...pts.map(p => p.x)))),
+        y1: Math.round(Math.max(0, Math.min(...pts.map(p => p.y)))),
+        x2: Math.round(Math.min(width, Math.max(...pts.map(p => p.x)))),
+        y2: Math.round(Math.min(height, Math.max(...pts.map(p => p.y))))
+      };
+    };
+    for (const series of this.series) {
+      for (const pt of series.points) {
+        const q = remap(pt.px, pt.py);
+        pt.px = Math.round(q.x);
+        pt.py = Math.round(q.y);
+      }
+      if (series.roi) series.roi = remapRect(series.roi);
+      series.excludeRegions = series.excludeRegions.map(remapRect);
+    }
+
+    const round2 = v => Math.round(v * 100) / 100;
+    const remapClick = p => {
+      if (!p) return p;
+      const q = remap(p.x, p.y);
+      return { x: round2(q.x), y: round2(q.y) };
+    };
+    for (const key of ['x1', 'x2', 'y1', 'y2']) this.calPoints[key] = remapClick(this.calPoints[key]);
+    for (const axis of ['x', 'y']) {
+      this.axisTicks[axis] = this.axisTicks[axis].map(t => ({ ...t, ...remapClick(t) }));
+    }
+    this.cornerPoints = this.cornerPoints.map(remapClick);
+    for (const key of ['origin', 'angle', 'radius']) this.polarPoints[key] = remapClick(this.polarPoints[key]);
+    this.ternaryPoints = this.ternaryPoints.map(remapClick);
+  }
+
+  // Bake crop / flip / rotation and tone adjustments (see adjust.js) into the image,
+  // which is then what extraction reads and what projects save. Points, regions and
+  // calibration clicks move with the image, so an existing calibration stays valid.
+  adjustImage(options) {
+    if (!this.image) return Promise.resolve(false);
+    options = { ...DEFAULT_ADJUSTMENTS, ...options };
+    const { width, height, matrix } = adjustmentGeometry(this.image.width, this.image.height, options);
+    this._record('Adjust image');
+    this.adjustPreview = null;
+
+    const outCanvas = document.createElement('canvas');
+    outCanvas.width = width;
+    outCanvas.height = height;
+    const outCtx = outCanvas.getContext('2d', { willReadFrequently: true });
+    outCtx.fillStyle = '#fff'; // corners uncovered by a rotation
+    outCtx.fillRect(0, 0, width, height);
+    outCtx.setTransform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
+    outCtx.drawImage(this.image, 0, 0);
+    outCtx.setTransform(1, 0, 0, 1, 0, 0);
+    if (hasToneAdjustment(options)) {
+      const img = outCtx.getImageData(0, 0, width, height);
+      applyTone(img.data, options);
+      outCtx.putImageData(img, 0, 0);
+    }
+
+    // Pixel indices and click positions address pixel centers, the matrix pixel edges
+    const remap = (px, py) => {
+      const q = applyAdjustmentMatrix(matrix, px + 0.5, py + 0.5);
+      return { x: q.x - 0.5, y: q.y - 0.5 };
+    };
+    this._remapPixelSpace(remap, width, height);
+    if (this.colorbar.line) {
+      const { x1, y1, x2, y2 } = this.colorbar.line;
+      const a = remap(x1, y1), b = remap(x2, y2);
+      const round2 = v => Math.round(v * 100) / 100;
+      this.colorbar.line = { x1: round2(a.x), y1: round2(a.y), x2: round2(b.x), y2: round2(b.y) };
+    }
+
+    return this.loadImage(outCanvas.toDataURL('image/png')).then(() => {
+      this.checkCalibration();
+      this.drawAll();
+      return true;
+    });
+  }
+
+  // Show the image with tone settings applied, without changing it (null to stop).
+  // Geometry is left out of the preview since it changes the canvas size.
+  setAdjustPreview(options) {
+    this.adjustPreview = null;
+    if (options && this.image && hasToneAdjustment(options)) {
+      const canvas = document.createElement('canvas');
+      canvas.width = this.image.width;
+      canvas.height = this.image.height;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(this.image, 0, 0);
+      const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      applyTone(img.data, options);
+      ctx.putImageData(img, 0, 0);
+      this.adjustPreview = canvas;
+    }
+    this.drawAll();
+  }
+
+  // Skew of the image's axes and grid lines in degrees clockwise (see estimateSkew)
+  estimateImageSkew() {
+    if (!this.image) return 0;
+    const { data, width, height } = this._getSourcePixels();
+    return estimateSkew(data, width, height);
+  }
 
-    return { x: realX, y: realY };
+  // Bilinear sample of ImageData at fractional (x, y); white outside the image
+  _sampleBilinear(img, x, y, out, o) {
+    const w = img.width, h = img.height, d = img.data;
+    if (x < -0.5 || y < -0.5 || x > w - 0.5 || y > h - 0.5) {
+      out[o] = out[o + 1] = out[o + 2] = 255;
+      out[o + 3] = 255;
+      return;
+    }
+    const x0 = Math.max(0, Math.min(w - 1, Math.floor(x)));
+    const y0 = Math.max(0, Math.min(h - 1, Math.floor(y)));
+    const x1 = Math.min(w - 1, x0 + 1), y1 = Math.min(h - 1, y0 + 1);
+    const fx = Math.max(0, Math.min(1, x - x0)), fy = Math.max(0, Math.min(1, y - y0));
+    for (let c = 0; c < 4; c++) {
+      const top = d[(y0 * w + x0) * 4 + c] * (1 - fx) + d[(y0 * w + x1) * 4 + c] * fx;
+      const bottom = d[(y1 * w + x0) * 4 + c] * (1 - fx) + d[(y1 * w + x1) * 4 + c] * fx;
+      out[o + c] = top * (1 - fy) + bottom * fy;
+    }
+  }
+
+  // Round for display/export: fixed decimals on linear axes,
+  // significant digits on the others so small log values survive
+  _roundValue(value, axis) {
+    if (this.axisScales[axis] === 'date') return Math.round(value); // whole milliseconds
+    if (this.axisScales[axis] === 'linear') return parseFloat(value.toFixed(6));
+    return parseFloat(value.toPrecision(7));
   }
 
   addManualPoint(px, py) {
+    this._record('Add point');
     const { x, y } = this.pixelToData(px, py);
-    this.dataPoints.push({ px, py, x, y });
+    const point = { px, py, x, y };
+    this._attachErrorBars([point]);
+    this.dataPoints.push(point);
     this.drawAll();
+    this._changed();
     return { x, y };
   }
 
   removeLastPoint() {
     if (this.dataPoints.length > 0) {
+      this._record('Remove last point');
       this.dataPoints.pop();
       this.drawAll();
+      this._changed();
     }
   }
 
   clearPoints() {
+    this._record('Clear points');
     this.dataPoints = [];
     this.drawAll();
+    this._changed();
   }
 
   sortByX() {
+    this._record('Sort by X');
     this.dataPoints.sort((a, b) => a.x - b.x);
+    this._changed();
   }
 
   // Get color at pixel
   getPixelColor(x, y) {
     if (!this.image) return null;
-    // Draw clean image to read pixels
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = this.image.width;
-    tempCanvas.height = this.image.height;
-    const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
-    tempCtx.drawImage(this.image, 0, 0);
-    const data = tempCtx.getImageData(x, y, 1, 1).data;
-    return { r: data[0], g: data[1], b: data[2] };
+    // Read the pixels color matching sees, so a picked color always matches itself
+    const imgData = this._getImagePixels();
+    const p = (y * imgData.width + x) * 4;
+    return { r: imgData.data[p], g: imgData.data[p + 1], b: imgData.data[p + 2] };
+  }
+
+  setDraftRegion(region) {
+    this.draftRegion = region;
+    this.drawAll();
   }
 
   setROI(x1, y1, x2, y2) {
+    this._record('Set data region');
     this.roi = {
       x1: Math.min(x1, x2),
       y1: Math.min(y1, y2),
@@ -216,14 +1402,18 @@ class GraphDigitizer {
       y2: Math.max(y1, y2)
     };
     this.drawAll();
+    this._changed();
   }
 
   clearROI() {
+    this._record('Clear data region');
     this.roi = null;
     this.drawAll();
+    this._changed();
   }
 
   addExcludeRegion(x1, y1, x2, y2) {
+    this._record('Add exclude region');
     this.excludeRegions.push({
       x1: Math.min(x1, x2),
       y1: Math.min(y1, y2),
@@ -231,182 +1421,879 @@ class GraphDigitizer {
       y2: Math.max(y1, y2)
     });
     this.drawAll();
+    this._changed();
   }
 
   clearExcludeRegions() {
+    this._record('Clear exclude regions');
     this.excludeRegions = [];
     this.drawAll();
+    this._changed();
   }
 
   // Check if a pixel is inside any exclude region
   _isExcluded(x, y) {
-    for (const e of this.excludeRegions) {
-      if (x >= e.x1 && x <= e.x2 && y >= e.y1 && y <= e.y2) return true;
-    }
-    return false;
+    return isInRegions(this.excludeRegions, x, y);
+  }
+
+  setColorTolerance(tol) {
+    this._record('Color tolerance', 'tolerance');
+    this.colorTolerance = tol;
+    this._changed();
+  }
+
+  setMinPointSize(size) {
+    this._record('Min point size', 'min-point-size');
+    this.minPointSize = size;
+    this._changed();
   }
 
   setTargetColor(r, g, b) {
+    this._record('Target color');
     this.targetColor = { r, g, b };
+    this._changed();
   }
 
   setTargetColorHex(hex) {
-    const r = parseInt(hex.substr(1, 2), 16);
-    const g = parseInt(hex.substr(3, 2), 16);
-    const b = parseInt(hex.substr(5, 2), 16);
-    this.targetColor = { r, g, b };
+    this._record('Target color', 'target-color');
+    this.targetColor = this._hexToRgb(hex);
+    this._changed();
+  }
+
+  addTargetColor(r, g, b) {
+    this._record('Add target color');
+    this.activeSeries.extraColors.push({ r, g, b });
+    this._changed();
+  }
+
+  // index into extraColors; the primary targetColor can't be removed
+  removeTargetColor(index) {
+    if (index < 0 || index >= this.activeSeries.extraColors.length) return;
+    this._record('Remove target color');
+    this.activeSeries.extraColors.splice(index, 1);
+    this._changed();
+  }
+
+  setColorMetric(metric) {
+    this._record('Color metric');
+    this.activeSeries.colorMetric = metric;
+    this._changed();
   }
 
-  // Get ROI bounds or full image bounds
+  _hexToRgb(hex) {
+    return {
+      r: parseInt(hex.substr(1, 2), 16),
+      g: parseInt(hex.substr(3, 2), 16),
+      b: parseInt(hex.substr(5, 2), 16)
+    };
+  }
+
+  // Get ROI bounds or full image bounds (clamped to the image)
   _getBounds() {
+    const w = this.image.width, h = this.image.height;
     if (this.roi) {
-      return { startX: this.roi.x1, endX: this.roi.x2, startY: this.roi.y1, endY: this.roi.y2 };
+      return {
+        startX: Math.max(0, Math.round(this.roi.x1)), endX: Math.min(w, Math.round(this.roi.x2)),
+        startY: Math.max(0, Math.round(this.roi.y1)), endY: Math.min(h, Math.round(this.roi.y2))
+      };
     }
-    return { startX: 0, endX: this.image.width, startY: 0, endY: this.image.height };
+    return { startX: 0, endX: w, startY: 0, endY: h };
   }
 
-  // Preview which pixels match the current color + tolerance
-  previewMatching() {
-    if (!this.image) return 0;
+  _hasPreprocessing() {
+    const p = this.preprocessing;
+    return p.flattenBackground || p.removeGrid || p.binarize;
+  }
+
+  // Pixels used for color matching: the preprocessed working copy when any
+  // preprocessing step is on (and the scanner has made it), otherwise the original image
+  _getImagePixels() {
+    const processed = this._hasPreprocessing() ? this._getProcessed() : null;
+    if (!processed) return this._getSourcePixels();
+    return { data: processed.pixels, width: this.image.width, height: this.image.height };
+  }
+
+  // Working copy for the current image and preprocessing options, or null while the
+  // scanner is still making it (drawAll runs again once it's there). It is computed
+  // where the scans run (scanworker.js), so big images aren't processed twice.
+  _getProcessed() {
+    const key = JSON.stringify(this.preprocessing);
+    const image = this.image;
+    if (this._processed && this._processed.image === image && this._processed.key === key) {
+      return this._processed;
+    }
+    if (this._processing && this._processing.image === image && this._processing.key === key) return null;
+    this._processing = { image, key };
+    const src = this._getSourcePixels();
+    this.scanner.setImage(image, src.data, src.width, src.height);
+    this.scanner.preprocess({ ...this.preprocessing }).then(pixels => {
+      if (this._processing && this._processing.image === image && this._processing.key === key) {
+        this._processing = null;
+      }
+      if (this.image !== image) return;
+      const canvas = document.createElement('canvas');
+      canvas.width = src.width;
+      canvas.height = src.height;
+      const ctx = canvas.getContext('2d');
+      const imgData = ctx.createImageData(src.width, src.height);
+      imgData.data.set(pixels);
+      ctx.putImageData(imgData, 0, 0);
+      this._processed = { image, key, pixels, canvas };
+      this.drawAll();
+    }, err => {
+      this._processing = null;
+      console.error('Preprocessing failed:', err);
+    });
+    return null;
+  }
+
+  setPreprocessing(key, enabled) {
+    this._record('Preprocessing');
+    this.preprocessing[key] = enabled;
+    if (this._hasPreprocessing()) this._getProcessed(); // start making the working copy
+    this.drawAll();
+    this._changed();
+  }
+
+  setShowProcessed(show) {
+    this.showProcessed = show;
     this.drawAll();
+  }
 
+  // Pixels of the clean image, decoded through an offscreen canvas once per image
+  _getSourcePixels() {
+    if (this._sourcePixels && this._sourcePixels.image === this.image) return this._sourcePixels.imgData;
     const tempCanvas = document.createElement('canvas');
     tempCanvas.width = this.image.width;
     tempCanvas.height = this.image.height;
     const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
     tempCtx.drawImage(this.image, 0, 0);
     const imgData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-    const pixels = imgData.data;
-    const w = tempCanvas.width;
-    const h = tempCanvas.height;
-    const tol = this.colorTolerance;
-    const tc = this.targetColor;
-    const bounds = this._getBounds();
+    this._sourcePixels = { image: this.image, imgData };
+    return imgData;
+  }
 
-    let matchCount = 0;
-    const mainImgData = this.ctx.getImageData(0, 0, w, h);
-    const mainPixels = mainImgData.data;
-
-    for (let y = bounds.startY; y < bounds.endY; y++) {
-      for (let x = bounds.startX; x < bounds.endX; x++) {
-        if (this._isExcluded(x, y)) continue;
-        const idx = (y * w + x) * 4;
-        const dr = pixels[idx] - tc.r;
-        const dg = pixels[idx + 1] - tc.g;
-        const db = pixels[idx + 2] - tc.b;
-        const dist = Math.sqrt(dr * dr + dg * dg + db * db);
-        if (dist <= tol) {
-          matchCount++;
-          mainPixels[idx] = 255;
-          mainPixels[idx + 1] = 0;
-          mainPixels[idx + 2] = 0;
-          mainPixels[idx + 3] = 255;
-        }
+  // Run a scan job (see scanjob.js) over the active series' ROI and exclude regions,
+  // matching its colors unless `fields` say otherwise. Resolves with the job's result;
+  // rejects with err.cancelled set when a newer scan or cancelScan() stops it.
+  _scan(type, fields, onProgress) {
+    const src = this._getSourcePixels();
+    this.scanner.setImage(this.image, src.data, src.width, src.height);
+    return this.scanner.run({
+      type,
+      preprocessing: { ...this.preprocessing },
+      bounds: this._getBounds(),
+      excludes: this.excludeRegions,
+      color: this._colorSpec(),
+      ...fields
+    }, onProgress);
+  }
+
+  cancelScan() {
+    this.scanner.cancel();
+  }
+
+  // Serializable matcher spec (see color.js) for the active series' metric and tolerance,
+  // matching `colors` (default: the target color plus any extra colors)
+  _colorSpec(colors) {
+    const series = this.activeSeries;
+    return {
+      metric: series.colorMetric,
+      colors: colors || [series.targetColor, ...series.extraColors],
+      tolerance: series.colorTolerance
+    };
+  }
+
+  _colorMatcher(colors) {
+    return createColorMatcher(this._colorSpec(colors));
+  }
+
+  // Dominant colors inside the active series' ROI (see extractPalette in color.js),
+  // to offer as target colors. Resolves with the palette.
+  getColorPalette(k = 8, onProgress) {
+    if (!this.image) return Promise.resolve([]);
+    return this._scan('palette', { options: { k } }, onProgress).then(result => result.palette);
+  }
+
+  // Preview which pixels match the current color + tolerance. Resolves with the count.
+  previewMatching(onProgress) {
+    if (!this.image) return Promise.resolve(0);
+    return this._scan('mask', {}, onProgress).then(({ mask, count }) => {
+      this.drawAll();
+      const mainImgData = this.ctx.getImageData(0, 0, this.image.width, this.image.height);
+      const mainPixels = mainImgData.data;
+      for (let i = 0; i < mask.length; i++) {
+        if (!mask[i]) continue;
+        const idx = i * 4;
+        mainPixels[idx] = 255;
+        mainPixels[idx + 1] = 0;
+        mainPixels[idx + 2] = 0;
+        mainPixels[idx + 3] = 255;
+      }
+      this.ctx.putImageData(mainImgData, 0, 0);
+      return count;
+    });
+  }
+
+  setExtractionMethod(method) {
+    this._record('Extraction method');
+    this.extractionMethod = method;
+    this._changed();
+  }
+
+  setMaxPointSize(size) {
+    this._record('Max point size', 'max-point-size');
+    this.maxPointSize = size;
+    this._changed();
+  }
+
+  setSampleSpacing(spacing) {
+    this._record('Sample spacing', 'sample-spacing');
+    this.sampleSpacing = spacing > 0 ? spacing : 0;
+    this._changed();
+  }
+
+  // Columns to scan: one every sampleSpacing data units of X, or 200 evenly spaced
+  // columns across the bounds when sampleSpacing is 0
+  _sampleColumns(bounds) {
+    const columns = [];
+    if (!(this.sampleSpacing > 0)) {
+      const roiW = bounds.endX - bounds.startX;
+      const step = Math.max(1, Math.floor(roiW / Math.min(200, roiW)));
+      for (let x = bounds.startX; x < bounds.endX; x += step) columns.push(x);
+      return columns;
+    }
+    const midY = (bounds.startY + bounds.endY) / 2;
+    let last = null;
+    for (let x = bounds.startX; x < bounds.endX; x++) {
+      const dataX = this.pixelToData(x, midY).x;
+      if (last === null || Math.abs(dataX - last) >= this.sampleSpacing) {
+        columns.push(x);
+        last = dataX;
       }
     }
+    return columns;
+  }
 
-    this.ctx.putImageData(mainImgData, 0, 0);
-    return matchCount;
+  // Thin a traced path to the sample spacing, keeping both ends
+  _samplePath(path, bounds) {
+    if (path.length < 3) return path;
+    const minStep = this.sampleSpacing > 0
+      ? null
+      : Math.max(1, Math.floor((bounds.endX - bounds.startX) / 200));
+    const kept = [path[0]];
+    let lastX = this.pixelToData(path[0].px, path[0].py).x;
+    for (let i = 1; i < path.length - 1; i++) {
+      const p = path[i];
+      const prev = kept[kept.length - 1];
+      if (minStep !== null) {
+        if (Math.hypot(p.px - prev.px, p.py - prev.py) < minStep) continue;
+      } else {
+        const dataX = this.pixelToData(p.px, p.py).x;
+        if (Math.abs(dataX - lastX) < this.sampleSpacing) continue;
+        lastX = dataX;
+      }
+      kept.push(p);
+    }
+    kept.push(path[path.length - 1]);
+    return kept;
   }
 
-  // Auto-detect data points by color matching
-  // Uses column-scanning instead of BFS to handle lines, dots, and curves
-  autoExtract() {
-    if (!this.image || !this.calibrated) return [];
+  // Follow the curve through (px, py) and append it to the active series.
+  // Each seed click traces one branch, so several branches can be collected in turn.
+  // Resolves with the traced points.
+  traceFrom(px, py, onProgress) {
+    if (!this.image || !this.calibrated) return Promise.resolve([]);
+    const bounds = this._getBounds();
+    return this._scan('trace', { seed: { x: px, y: py } }, onProgress)
+      .then(({ path }) => this._addTracedPath(path, bounds));
+  }
 
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = this.image.width;
-    tempCanvas.height = this.image.height;
-    const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
-    tempCtx.drawImage(this.image, 0, 0);
-    const imgData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-    const pixels = imgData.data;
-    const w = tempCanvas.width;
-    const h = tempCanvas.height;
+  _addTracedPath(path, bounds) {
+    if (path.length === 0) return [];
+    this._record('Trace curve');
+    const traced = this._samplePath(path, bounds).map(({ px: x0, py: y0 }) => {
+      const pxr = Math.round(x0 * 100) / 100, pyr = Math.round(y0 * 100) / 100;
+      const { x, y } = this.pixelToData(pxr, pyr);
+      return { px: pxr, py: pyr, x, y };
+    });
+    this.dataPoints.push(...traced);
+    this.drawAll();
+    this._changed();
+    return traced;
+  }
+
+  setBarOption(key, value) {
+    this._record('Bar settings', `bar-${key}`);
+    this.barOptions[key] = value;
+    this._changed();
+  }
+
+  // One point per detected bar (see detectBars). The value is read at the bar's far
+  // edge (the end away from the baseline) and reported relative to the baseline, or as
+  // the segment length between both edges for stacked bars. Edges sit half a pixel
+  // outside the outermost matching pixels. The marker is placed at the far edge.
+  // Each point keeps bar: { axis, base }, its value axis and what the value is
+  // measured from, so moving or editing it later keeps the same meaning.
+  _barPoints(bars) {
+    const opts = this.barOptions;
+    const vertical = opts.orientation !== 'horizontal';
+
+    return bars.map((bar, i) => {
+      const cx = (bar.x1 + bar.x2) / 2, cy = (bar.y1 + bar.y2) / 2;
+      const edgeA = vertical ? { px: cx, py: bar.y1 - 0.5 } : { px: bar.x1 - 0.5, py: cy };
+      const edgeB = vertical ? { px: cx, py: bar.y2 + 0.5 } : { px: bar.x2 + 0.5, py: cy };
+      const valueAt = p => this.pixelToData(p.px, p.py)[vertical ? 'y' : 'x'];
+      const a = valueAt(edgeA), b = valueAt(edgeB);
+      const farIsA = Math.abs(a - opts.baseline) >= Math.abs(b - opts.baseline);
+      const far = farIsA ? a : b, near = farIsA ? b : a;
+      const value = opts.stacked ? far - near : far - opts.baseline;
 
-    const tol = this.colorTolerance;
-    const tc = this.targetColor;
+      const center = this.pixelToData(cx, cy);
+      const category = opts.position === 'index' ? i + 1 : center[vertical ? 'x' : 'y'];
+      const tip = farIsA ? edgeA : edgeB;
+      const measure = { axis: vertical ? 'y' : 'x', base: opts.stacked ? near : opts.baseline };
+      return vertical
+        ? { px: tip.px, py: tip.py, x: category, y: value, bar: measure }
+        : { px: tip.px, py: tip.py, x: value, y: category, bar: measure };
+    });
+  }
+
+  // --- Error bars ---
+
+  setErrorBarsEnabled(enabled) {
+    this._record('Error bars');
+    this.activeSeries.errorBars.enabled = enabled;
+    this._changed();
+  }
+
+  setErrorBarColor(r, g, b) {
+    this._record('Error bar color');
+    this.activeSeries.errorBars.color = { r, g, b };
+    this._changed();
+  }
+
+  setErrorBarColorHex(hex) {
+    this._record('Error bar color', 'error-bar-color');
+    this.activeSeries.errorBars.color = this._hexToRgb(hex);
+    this._changed();
+  }
+
+  // Measure error bars for every point of the active series (e.g. after manual clicks
+  // or a color change). Resolves with the number of points that got a non-zero error bar.
+  detectErrorBars(onProgress) {
+    if (!this.image || !this.calibrated || this.dataPoints.length === 0) return Promise.resolve(0);
+    const points = this.dataPoints;
+    return this._scan('mask', { color: this._errorBarSpec() }, onProgress).then(({ mask }) => {
+      this._record('Detect error bars');
+      for (const point of points) this._measureErrorBars(point, mask);
+      this.drawAll();
+      this._changed();
+      return points.filter(p => ERROR_KEYS.some(key => p[key])).length;
+    });
+  }
+
+  // Measure error bars for new points when the active series has detection turned on.
+  // `mask` is the error bar color mask, built here when not given.
+  _attachErrorBars(points, mask) {
+    if (!this.activeSeries.errorBars.enabled || points.length === 0) return;
+    mask = mask || this._errorBarMask();
+    for (const point of points) this._measureErrorBars(point, mask);
+  }
+
+  _errorBarSpec() {
+    return this._colorSpec([this.activeSeries.errorBars.color]);
+  }
 
-    // Scan column by column within ROI bounds
+  // Error bar mask on the main thread, for single clicked points; kept until the image,
+  // color, region or preprocessing changes
+  _errorBarMask() {
     const bounds = this._getBounds();
-    const roiW = bounds.endX - bounds.startX;
-    const numSamples = Math.min(200, roiW);
-    const step = Math.max(1, Math.floor(roiW / numSamples));
+    const imgData = this._getImagePixels();
+    // The pixels change once the preprocessed working copy arrives
+    const key = JSON.stringify([this._errorBarSpec(), bounds, this.excludeRegions, this.preprocessing,
+      imgData !== this._getSourcePixels()]);
+    const cached = this._errorMask;
+    if (cached && cached.image === this.image && cached.key === key) return cached.mask;
+    const mask = buildMatchMask(imgData.data, imgData.width, imgData.height,
+      bounds, this.excludeRegions, this._colorMatcher([this.activeSeries.errorBars.color]));
+    this._errorMask = { image: this.image, key, mask };
+    return mask;
+  }
 
-    this.dataPoints = [];
+  // Walk along the local X and Y axis directions from the point and store the error
+  // bar extents as distances from its value; axes without a bar get 0
+  _measureErrorBars(point, mask) {
+    const dirs = this._axisDirections(point.px, point.py);
+    const bounds = this._getBounds();
+    const base = this.pixelToData(point.px, point.py);
+    const endValue = (dir, sign, axis) => {
+      const len = measureErrorBar(mask, this.image.width, bounds, point.px, point.py, dir.x * sign, dir.y * sign);
+      return this.pixelToData(point.px + dir.x * sign * len, point.py + dir.y * sign * len)[axis];
+    };
+    point.yErrHigh = endValue(dirs.y, 1, 'y') - base.y;
+    point.yErrLow = base.y - endValue(dirs.y, -1, 'y');
+    point.xErrHigh = endValue(dirs.x, 1, 'x') - base.x;
+    point.xErrLow = base.x - endValue(dirs.x, -1, 'x');
+  }
 
-    for (let x = bounds.startX; x < bounds.endX; x += step) {
-      // Collect all matching Y positions in a 3-pixel-wide window
-      const yPositions = [];
-      for (let wx = Math.max(bounds.startX, x - 1); wx <= Math.min(bounds.endX - 1, x + 1); wx++) {
-        for (let y = bounds.startY; y < bounds.endY; y++) {
-          if (this._isExcluded(wx, y)) continue;
-          const idx = (y * w + wx) * 4;
-          const dr = pixels[idx] - tc.r;
-          const dg = pixels[idx + 1] - tc.g;
-          const db = pixels[idx + 2] - tc.b;
-          const dist = Math.sqrt(dr * dr + dg * dg + db * db);
-          if (dist <= tol) {
-            yPositions.push(y);
-          }
-        }
-      }
+  // Unit pixel directions in which the data X (resp. Y) value grows while the other
+  // stays put, from the local Jacobian of pixelToData in each axis's linear space.
+  // Follows rotated, perspective and log-scaled calibrations.
+  _axisDirections(px, py) {
+    const sx = getAxisScale(this.axisScales.x), sy = getAxisScale(this.axisScales.y);
+    const lin = (x, y) => {
+      const d = this.pixelToData(x, y);
+      return { u: sx.toLinear(d.x), v: sy.toLinear(d.y) };
+    };
+    const p = lin(px, py), ax = lin(px + 1, py), ay = lin(px, py + 1);
+    const a = ax.u - p.u, b = ay.u - p.u, c = ax.v - p.v, d = ay.v - p.v;
+    const unit = (x, y) => {
+      const n = Math.hypot(x, y) || 1;
+      return { x: x / n, y: y / n };
+    };
+    // Columns of the inverse Jacobian, scaled by det (only the direction matters)
+    const sign = Math.sign(a * d - b * c) || 1;
+    return { x: unit(d * sign, -c * sign), y: unit(-b * sign, a * sign) };
+  }
+
+  // Auto-detect data points by color matching. Methods (extractionMethod):
+  //   'lines'   - column scanning, handles lines and curves
+  //   'markers' - one point per connected blob, for scatter plots
+  //   'trace'   - follows one curve from a seed point, see traceFrom()
+  //   'bars'    - one point per bar, for bar charts and histograms
+  // The scan runs in the background; resolves with the new points of the active series.
+  autoExtract(onProgress) {
+    if (!this.image || !this.calibrated) return Promise.resolve([]);
+    const method = this.extractionMethod;
+    const bounds = this._getBounds();
 
-      if (yPositions.length === 0) continue;
+    let job;
+    if (method === 'bars') {
+      job = { type: 'bars', options: { orientation: this.barOptions.orientation, minWidth: this.minPointSize } };
+    } else if (method === 'markers') {
+      job = { type: 'markers', options: { minSize: this.minPointSize, maxSize: this.maxPointSize } };
+    } else {
+      // Scan column by column within ROI bounds
+      job = { type: 'lines', columns: this._sampleColumns(bounds) };
+    }
+    if (this.activeSeries.errorBars.enabled) job.errorColor = this._errorBarSpec();
 
-      // Group nearby Y values (within 5px) to handle line thickness
-      yPositions.sort((a, b) => a - b);
-      const groups = [];
-      let currentGroup = [yPositions[0]];
+    return this._scan(job.type, job, onProgress).then(result => {
+      this._record('Auto extract');
+      const points = method === 'bars'
+        ? this._barPoints(result.bars)
+        : result.points.map(({ px, py }) => {
+          const { x, y } = this.pixelToData(px, py);
+          return { px, py, x, y };
+        });
 
-      for (let i = 1; i < yPositions.length; i++) {
-        if (yPositions[i] - yPositions[i - 1] <= 5) {
-          currentGroup.push(yPositions[i]);
-        } else {
-          groups.push(currentGroup);
-          currentGroup = [yPositions[i]];
-        }
-      }
-      groups.push(currentGroup);
-
-      // For each group, take the median Y as a data point
-      // Use minPointSize=1 for column scanning (thin lines have few pixels per column)
-      for (const group of groups) {
-        if (group.length < 1) continue;
-        const medianY = group[Math.floor(group.length / 2)];
-        const { x: rx, y: ry } = this.pixelToData(x, medianY);
-        this.dataPoints.push({ px: x, py: medianY, x: rx, y: ry });
+      // Sort by x (by category for horizontal bars)
+      const sortKey = method === 'bars' && this.barOptions.orientation === 'horizontal' ? 'y' : 'x';
+      this._attachErrorBars(points, result.errorMask);
+      this.dataPoints = points.sort((a, b) => a[sortKey] - b[sortKey]);
+      this.drawAll();
+      this._changed();
+      const tc = this.targetColor, tol = this.colorTolerance;
+      console.log(`Auto-extract: found ${this.dataPoints.length} data points (tolerance=${tol}, color=rgb(${tc.r},${tc.g},${tc.b}))`);
+      return this.dataPoints;
+    });
+  }
+
+  getDataPoints(seriesIndex = this.activeSeriesIndex) {
+    const breaks = { x: this.getAxisBreaks('x'), y: this.getAxisBreaks('y') };
+    return this.series[seriesIndex].points.map((p, i) => {
+      const point = {
+        index: i,
+        x: this._roundValue(p.x, 'x'),
+        y: this._roundValue(p.y, 'y'),
+        px: p.px,
+        py: p.py
+      };
+      for (const key of ERROR_KEYS) {
+        if (p[key] !== undefined) point[key] = this._roundValue(p[key], key[0]);
       }
+      // Ternary: the third share, C = total - A - B
+      if (this.calMode === 'ternary') point.z = this._roundValue(this.ternaryTotal - p.x - p.y, 'x');
+      // Values inside an axis break can't be read reliably
+      const inBreak = ['x', 'y'].filter(axis => breaks[axis].some(b => p[axis] > b.from && p[axis] < b.to));
+      if (inBreak.length > 0) point.inBreak = inBreak.join(', ').toUpperCase();
+      return point;
+    });
+  }
+
+  // All series with their rounded points, for export
+  getAllSeries() {
+    return this.series.map((s, i) => ({ name: s.name, points: this.getDataPoints(i) }));
+  }
+
+  // What the exports write: the resampled curves when resampling is on, otherwise
+  // the extracted points (see getAllSeries). Fitted series carry their fit (see
+  // fitCurve, null otherwise) and their points the fitted value and residual.
+  getExportSeries() {
+    return this.series.map((s, i) => {
+      const points = !this.resampling.enabled ? this.getDataPoints(i)
+        : this.getResampledPoints(i).map((p, index) => ({
+          index, x: this._roundValue(p.x, 'x'), y: this._roundValue(p.y, 'y')
+        }));
+      const fit = this.getFit(i);
+      return { name: s.name, points: this.withFitValues(points, fit), fit };
+    });
+  }
+
+  // Copies of `points` with the fitted value and residual at each X, rounded like Y
+  withFitValues(points, fit) {
+    if (!fit) return points;
+    return points.map(p => {
+      const yFit = evaluateFit(fit, p.x);
+      if (!isFinite(yFit)) return { ...p, yFit: '', residual: '' };
+      return { ...p, yFit: this._roundValue(yFit, 'y'), residual: this._roundValue(p.y - yFit, 'y') };
+    });
+  }
+
+  // The series' fit (see fitCurve) to its current points, or null when it has none
+  // or too few usable points
+  getFit(seriesIndex = this.activeSeriesIndex) {
+    const settings = this.series[seriesIndex].fit;
+    if (!settings) return null;
+    return fitCurve(this.getDataPoints(seriesIndex), settings.model, { degree: settings.degree });
+  }
+
+  setResampling(key, value) {
+    this._record('Resampling', `resample-${key}`);
+    this.resampling[key] = value;
+    this.drawAll();
+    this._changed();
+  }
+
+  // A series smoothed and interpolated onto the resampling grid, as [{ x, y }] in data
+  // units. Smoothing and interpolation run in each axis's linear space, so a log axis
+  // is resampled along the curve as drawn. Grid X values outside the series' own X
+  // range are left out rather than extrapolated.
+  getResampledPoints(seriesIndex = this.activeSeriesIndex) {
+    const r = this.resampling;
+    const points = this.series[seriesIndex].points;
+    const sx = getAxisScale(this.axisScales.x), sy = getAxisScale(this.axisScales.y);
+    const curve = smoothCurve(
+      prepareCurve(points.map(p => ({ x: sx.toLinear(p.x), y: sy.toLinear(p.y) }))),
+      r.smoothing, r.window);
+    const interpolate = createInterpolator(curve, r.method);
+    if (!interpolate) return [];
+
+    let grid;
+    if (r.mode === 'list' && this.isDateAxis('x')) {
+      // Dates can contain spaces, so only commas, semicolons and line breaks separate them
+      grid = r.list.split(/[,;\n]+/).map(text => this.parseAxisValue('x', text)).filter(isFinite);
+    } else if (r.mode === 'list') {
+      grid = parseXList(r.list);
+    } else {
+      const { start, end } = this._resampleRange(points);
+      grid = uniformGrid(start, end, r.step);
     }
+    return grid
+      .map(x => ({ x, y: sy.fromLinear(interpolate(sx.toLinear(x))) }))
+      .filter(p => isFinite(p.y));
+  }
 
-    // Sort by x
-    this.dataPoints.sort((a, b) => a.x - b.x);
+  // Whether the uniform grid for a series has more than MAX_GRID_POINTS values,
+  // in which case it is rejected and nothing is resampled
+  isResampleGridTooLarge(seriesIndex = this.activeSeriesIndex) {
+    const points = this.series[seriesIndex].points;
+    if (this.resampling.mode !== 'step' || points.length === 0) return false;
+    const { start, end } = this._resampleRange(points);
+    return uniformGridSize(start, end, this.resampling.step) > MAX_GRID_POINTS;
+  }
+
+  // Grid start and end: the ones set, or else the series' own X range
+  _resampleRange(points) {
+    const r = this.resampling;
+    const xs = points.map(p => p.x);
+    return {
+      start: r.start !== null ? r.start : Math.min(...xs),
+      end: r.end !== null ? r.end : Math.max(...xs)
+    };
+  }
+
+  setColorbarLine(x1, y1, x2, y2) {
+    this._record('Colorbar');
+    this.colorbar.line = { x1, y1, x2, y2 };
     this.drawAll();
-    console.log(`Auto-extract: found ${this.dataPoints.length} data points (tolerance=${tol}, color=rgb(${tc.r},${tc.g},${tc.b}))`);
-    return this.dataPoints;
+    this._changed();
   }
 
-  getDataPoints() {
-    return this.dataPoints.map((p, i) => ({
-      index: i,
-      x: parseFloat(p.x.toFixed(6)),
-      y: parseFloat(p.y.toFixed(6)),
-      px: p.px,
-      py: p.py
-    }));
+  // min / max (values at the first and last end), scale (see AXIS_SCALES) or name
+  setColorbarValue(key, value) {
+    this._record('Colorbar value', `colorbar-${key}`);
+    if (key === 'scale') this.colorbar.scale = AXIS_SCALES[value] && value !== 'date' ? value : 'linear';
+    else if (key === 'name') this.colorbar.name = value.trim();
+    else this.colorbar[key] = parseFloat(value) || 0;
+    this.drawAll();
+    this._changed();
   }
 
+  setColorMapOption(key, value) {
+    this._record('Color map', `colormap-${key}`);
+    const n = parseFloat(value);
+    if (key === 'maxDistance') this.colorMap.maxDistance = Math.max(0, n || 0);
+    else this.colorMap[key] = Math.max(2, Math.min(500, Math.round(n) || 2));
+    this._changed();
+  }
+
+  // Problems with the colorbar setup, as for validateCalibration (empty when ready)
+  validateColorbar() {
+    const errors = [];
+    if (!this.colorbar.line) errors.push('Draw a line along the colorbar');
+    const scale = getAxisScale(this.colorbar.scale);
+    for (const key of ['min', 'max']) {
+      const err = scale.validate(this.colorbar[key]);
+      if (err) errors.push(`Colorbar ${key} value ${err}`);
+    }
+    if (this.colorbar.min === this.colorbar.max) errors.push('Colorbar min and max values must differ');
+    return errors;
+  }
+
+  // Mean color of the 3x3 pixels around (x, y), evening out noise and JPEG artifacts
+  _averageColor(img, x, y) {
+    const cx = Math.round(x), cy = Math.round(y);
+    let r = 0, g = 0, b = 0, n = 0;
+    for (let yy = Math.max(0, cy - 1); yy <= Math.min(img.height - 1, cy + 1); yy++) {
+      for (let xx = Math.max(0, cx - 1); xx <= Math.min(img.width - 1, cx + 1); xx++) {
+        const p = (yy * img.width + xx) * 4;
+        r += img.data[p]; g += img.data[p + 1]; b += img.data[p + 2];
+        n++;
+      }
+    }
+    return n > 0 ? { r: Math.round(r / n), g: Math.round(g / n), b: Math.round(b / n) } : { r: 0, g: 0, b: 0 };
+  }
+
+  // Color -> value reader for the colorbar: (r, g, b) => value, or null for colors
+  // that are not on the bar. Reads the original pixels, one sample per pixel of the
+  // line; values are interpolated in the colorbar scale's linear space.
+  getColorbarReader() {
+    if (!this.image || this.validateColorbar().length > 0) return null;
+    const { x1, y1, x2, y2 } = this.colorbar.line;
+    const img = this._getSourcePixels();
+    const n = Math.max(2, Math.round(Math.hypot(x2 - x1, y2 - y1)) + 1);
+    const colors = [];
+    for (let i = 0; i < n; i++) {
+      const t = i / (n - 1);
+      colors.push(this._averageColor(img, x1 + t * (x2 - x1), y1 + t * (y2 - y1)));
+    }
+    const read = createColorReader(buildColorLookup(colors));
+    const scale = getAxisScale(this.colorbar.scale);
+    const lo = scale.toLinear(this.colorbar.min), hi = scale.toLinear(this.colorbar.max);
+    const maxDistance = this.colorMap.maxDistance;
+    return (r, g, b) => {
+      const { t, distance } = read(r, g, b);
+      return distance <= maxDistance ? parseFloat(scale.fromLinear(lo + t * (hi - lo)).toPrecision(7)) : null;
+    };
+  }
+
+  // Sample the map on a columns x rows grid of cell centers over the active series'
+  // data region (the whole image without one). Returns { xs, ys, cells } where cells
+  // are { column, row, px, py, x, y, z } with z null for excluded cells and colors off
+  // the colorbar; xs / ys are the X of each column along the region's middle row and
+  // the Y of each row along its middle column (exact for axis-aligned plots).
+  sampleColorMap() {
+    if (!this.image || !this.calibrated) return null;
+    const read = this.getColorbarReader();
+    if (!read) return null;
+    const img = this._getSourcePixels();
+    const b = this._getBounds();
+    const { columns, rows } = this.colorMap;
+    const cellW = (b.endX - b.startX) / columns, cellH = (b.endY - b.startY) / rows;
+    const pxAt = i => b.startX + (i + 0.5) * cellW - 0.5;
+    const pyAt = j => b.startY + (j + 0.5) * cellH - 0.5;
+    const midX = (b.startX + b.endX) / 2, midY = (b.startY + b.endY) / 2;
+
+    const xs = [], ys = [];
+    for (let i = 0; i < columns; i++) xs.push(this._roundValue(this.pixelToData(pxAt(i), midY).x, 'x'));
+    for (let j = 0; j < rows; j++) ys.push(this._roundValue(this.pixelToData(midX, pyAt(j)).y, 'y'));
+
+    const cells = [];
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < columns; i++) {
+        const px = pxAt(i), py = pyAt(j);
+        const { x, y } = this.pixelToData(px, py);
+        let z = null;
+        if (!this._isExcluded(Math.round(px), Math.round(py))) {
+          const c = this._averageColor(img, px, py);
+          z = read(c.r, c.g, c.b);
+        }
+        cells.push({ column: i, row: j, px, py, x: this._roundValue(x, 'x'), y: this._roundValue(y, 'y'), z });
+      }
+    }
+    return { xs, ys, cells };
+  }
+
+  // Set a point's data values; its marker moves to match. A bar's marker moves along
+  // its bar to the value measured from the bar's base (see _barPoints).
   updateDataPoint(index, newX, newY) {
     if (index >= 0 && index < this.dataPoints.length) {
-      this.dataPoints[index].x = newX;
-      this.dataPoints[index].y = newY;
+      this._record('Edit point');
+      const pt = this.dataPoints[index];
+      pt.x = newX;
+      pt.y = newY;
+      if (this.calibrated) {
+        let target = { x: newX, y: newY };
+        if (pt.bar) {
+          target = this.pixelToData(pt.px, pt.py);
+          target[pt.bar.axis] = pt[pt.bar.axis] + pt.bar.base;
+        }
+        const p = this.dataToPixel(target.x, target.y);
+        if (isFinite(p.x) && isFinite(p.y)) {
+          pt.px = Math.round(p.x * 100) / 100;
+          pt.py = Math.round(p.y * 100) / 100;
+        }
+      }
+      this.drawAll();
+      this._changed();
+    }
+  }
+
+  // key is one of ERROR_KEYS
+  updatePointError(index, key, value) {
+    if (index >= 0 && index < this.dataPoints.length && ERROR_KEYS.includes(key)) {
+      this._record('Edit error bar');
+      this.dataPoints[index][key] = value;
+      this.drawAll();
+      this._changed();
     }
   }
 
   deleteDataPoint(index) {
     if (index >= 0 && index < this.dataPoints.length) {
+      this._record('Delete point');
       this.dataPoints.splice(index, 1);
       this.drawAll();
+      this._changed();
     }
   }
+
+  // --- Point editing on the canvas ---
+
+  // Index of the active series' point nearest to (px, py) within `radius` pixels, or -1
+  hitTestPoint(px, py, radius) {
+    let best = -1, bestDist = radius;
+    this.dataPoints.forEach((pt, i) => {
+      const d = Math.hypot(pt.px - px, pt.py - py);
+      if (d <= bestDist) { best = i; bestDist = d; }
+    });
+    return best;
+  }
+
+  // Indices of the selected points in the active series, ascending
+  getSelectedIndices() {
+    const indices = [];
+    this.dataPoints.forEach((pt, i) => { if (this.selectedPoints.has(pt)) indices.push(i); });
+    return indices;
+  }
+
+  // Select the points at `indices`; `additive` adds to (and for a single point
+  // toggles within) the current selection instead of replacing it
+  selectPoints(indices, additive = false) {
+    if (!additive) this.selectedPoints.clear();
+    for (const i of indices) {
+      const pt = this.dataPoints[i];
+      if (!pt) continue;
+      if (additive && indices.length === 1 && this.selectedPoints.has(pt)) this.selectedPoints.delete(pt);
+      else this.selectedPoints.add(pt);
+    }
+    this.drawAll();
+  }
+
+  selectPointsInRect(x1, y1, x2, y2, additive = false) {
+    const left = Math.min(x1, x2), right = Math.max(x1, x2);
+    const top = Math.min(y1, y2), bottom = Math.max(y1, y2);
+    const inside = [];
+    this.dataPoints.forEach((pt, i) => {
+      if (pt.px >= left && pt.px <= right && pt.py >= top && pt.py <= bottom) inside.push(i);
+    });
+    if (!additive) this.selectedPoints.clear();
+    inside.forEach(i => this.selectedPoints.add(this.dataPoints[i]));
+    this.drawAll();
+    return inside.length;
+  }
+
+  clearSelection() {
+    if (this.selectedPoints.size === 0) return;
+    this.selectedPoints.clear();
+    this.drawAll();
+  }
+
+  // Delete every selected point as one undo step; returns how many were removed
+  deleteSelectedPoints() {
+    const count = this.getSelectedIndices().length;
+    if (count === 0) return 0;
+    this._record(count === 1 ? 'Delete point' : 'Delete points');
+    this.dataPoints = this.dataPoints.filter(pt => !this.selectedPoints.has(pt));
+    this.selectedPoints.clear();
+    this.drawAll();
+    this._changed();
+    return count;
+  }
+
+  // Drag a point to (px, py), updating its data values as it moves. Moves with the
+  // same dragId (one per mouse drag) collapse into one undo step. A bar's marker only
+  // slides along its bar: its category stays and its value stays measured from the
+  // bar's base (see _barPoints).
+  movePoint(index, px, py, dragId = null) {
+    const pt = this.dataPoints[index];
+    if (!pt) return null;
+    this._record('Move point', dragId !== null ? `move-point-${dragId}` : null);
+    if (pt.bar && pt.bar.axis === 'y') pt.py = py;
+    else if (pt.bar) pt.px = px;
+    else {
+      pt.px = px;
+      pt.py = py;
+    }
+    const data = this.pixelToData(pt.px, pt.py);
+    if (pt.bar) pt[pt.bar.axis] = data[pt.bar.axis] - pt.bar.base;
+    else {
+      pt.x = data.x;
+      pt.y = data.y;
+    }
+    this.drawAll();
+    this._changed();
+    return { x: pt.x, y: pt.y };
+  }
+
+  // Insert a point at (px, py) into the active series between the two consecutive
+  // points whose segment passes closest to it (appended when there is no segment).
+  // Returns the new point's index.
+  insertPoint(px, py) {
+    const points = this.dataPoints;
+    let at = points.length, bestDist = Infinity;
+    for (let i = 0; i + 1 < points.length; i++) {
+      const d = pointSegmentDistance(px, py, points[i], points[i + 1]);
+      if (d < bestDist) { bestDist = d; at = i + 1; }
+    }
+    // Beyond either end of the series: extend it instead
+    const last = points.length - 1;
+    if (at === 1 && segmentParam(px, py, points[0], points[1]) < 0) at = 0;
+    if (last > 0 && at === last && segmentParam(px, py, points[last - 1], points[last]) > 1) at = last + 1;
+
+    this._record('Insert point');
+    const { x, y } = this.pixelToData(px, py);
+    const point = { px, py, x, y };
+    this._attachErrorBars([point]);
+    points.splice(at, 0, point);
+    this.drawAll();
+    this._changed();
+    return at;
+  }
+}
+
+// Position of (px, py) projected on the line through points a and b ({ px, py }):
+// 0 at a, 1 at b
+function segmentParam(px, py, a, b) {
+  const dx = b.px - a.px, dy = b.py - a.py;
+  const len2 = dx * dx + dy * dy;
+  return len2 > 0 ? ((px - a.px) * dx + (py - a.py) * dy) / len2 : 0;
+}
+
+// Distance from (px, py) to the segment between points a and b
+function pointSegmentDistance(px, py, a, b) {
+  const t = Math.max(0, Math.min(1, segmentParam(px, py, a, b)));
+  return Math.hypot(a.px + t * (b.px - a.px) - px, a.py + t * (b.py - a.py) - py);
 }
@@ -1,29 +1,295 @@
 /**
- * Export utilities for CSV and Excel
+ * Export utilities: CSV, Excel (.xlsx, see xlsx.js), JSON and tab-separated text for
+ * the clipboard. Files are named after the source image.
  */
 
-function exportCSV(data) {
-  let csv = 'X,Y\n';
-  for (const pt of data) {
-    csv += `${pt.x},${pt.y}\n`;
+// Column header for an axis: its name (default X / Y), noting non-linear scales so the
+// numbers aren't misread, and the zone or format of dates
+function axisHeader(axis, scale, name, dateFormat) {
+  const title = name || axis.toUpperCase();
+  if (scale === 'date') return `${title} (${dateFormatNote(dateFormat.format, dateFormat.timezone)})`;
+  return !scale || scale === 'linear' ? title : `${title} (${scale})`;
+}
+
+// Copies of the series with the X and Y (and fitted Y) values of date axes written in
+// the date format; other values are unchanged
+function formatDateValues(seriesList, axisScales, dateFormat) {
+  const axes = ['x', 'y'].filter(axis => axisScales[axis] === 'date');
+  if (axes.length === 0) return seriesList;
+  const keys = axes.flatMap(axis => (axis === 'y' ? ['y', 'yFit'] : ['x']));
+  return seriesList.map(s => ({
+    ...s,
+    points: s.points.map(p => {
+      const point = { ...p };
+      for (const key of keys) {
+        if (typeof point[key] === 'number') point[key] = formatDateTime(point[key], dateFormat.format, dateFormat.timezone);
+      }
+      return point;
+    })
+  }));
+}
+
+// Error bar columns: point field and header
+const ERROR_COLUMNS = [
+  ['yErrLow', 'Y err low'], ['yErrHigh', 'Y err high'],
+  ['xErrLow', 'X err low'], ['xErrHigh', 'X err high']
+];
+
+// Error columns worth writing for a list of points: both columns of an axis when any
+// point has a non-zero error bar on that axis
+function errorColumnsFor(points) {
+  const axes = ['y', 'x'].filter(axis => points.some(p => p[`${axis}ErrLow`] || p[`${axis}ErrHigh`]));
+  return ERROR_COLUMNS.filter(([key]) => axes.includes(key[0]));
+}
+
+// Fitted value and residual columns, for series with a curve fit (see fit.js)
+const FIT_COLUMNS = [['yFit', 'Y fit'], ['residual', 'Residual']];
+
+// Flag of points whose X or Y lies inside an axis break ('X', 'Y' or 'X, Y')
+const BREAK_COLUMNS = [['inBreak', 'In axis break']];
+
+// Columns written after a series' Y values: the third coordinate of ternary points
+// (titled `zTitle`), error bars, the fit, then the axis break flag
+function pointColumnsFor(points, zTitle = 'Z') {
+  const third = points.some(p => p.z !== undefined) ? [['z', zTitle]] : [];
+  const fitted = points.some(p => p.yFit !== undefined);
+  const flagged = points.some(p => p.inBreak !== undefined);
+  return third.concat(errorColumnsFor(points), fitted ? FIT_COLUMNS : [], flagged ? BREAK_COLUMNS : []);
+}
+
+function columnValues(point, columns) {
+  return columns.map(([key]) => (point && point[key] !== undefined ? point[key] : ''));
+}
+
+// Summary table of curve fits ([{ name, fit }], see fitCurve): one row per series with
+// the equation, R², RMSE and the parameters in model order (a, b, c; polynomials
+// from the constant term up)
+function buildFitTable(fits) {
+  const count = Math.max(...fits.map(f => f.fit.params.length));
+  return {
+    name: 'Fits',
+    header: ['Series', 'Model', 'Equation', 'R²', 'RMSE', 'Points',
+      ...Array.from({ length: count }, (_, i) => `Parameter ${i + 1}`)],
+    rows: fits.map(({ name, fit }) => [
+      name,
+      fit.model === 'polynomial' ? `Polynomial (degree ${fit.degree})` : FIT_MODELS[fit.model],
+      formatFitEquation(fit),
+      parseFloat(fit.r2.toFixed(6)),
+      parseFloat(fit.rmse.toPrecision(6)),
+      fit.n,
+      ...Array.from({ length: count }, (_, i) => (i < fit.params.length ? parseFloat(fit.params[i].toPrecision(10)) : ''))
+    ])
+  };
+}
+
+// Turn [{ name, points, fit }] into export tables { name, header, rows }.
+// layout 'sheets': one table per series; 'wide': a single table with a shared X column.
+// Series with a third coordinate, error bars or a fit get extra columns after their Y
+// values, and a summary table of the fits (see buildFitTable) follows the data.
+// Options: axisScales, axisNames (column titles { x, y, z }) and dateFormat
+// ({ format, timezone } for date axes).
+function buildExportTables(seriesList, layout, options = {}) {
+  const tables = dataTables(seriesList, layout, {
+    axisScales: {}, axisNames: {}, dateFormat: { format: 'datetime', timezone: 'local' }, ...options
+  });
+  const fits = seriesList.filter(s => s.fit);
+  if (fits.length > 0) tables.push(buildFitTable(fits));
+  return tables;
+}
+
+function dataTables(rawSeries, layout, { axisScales, axisNames, dateFormat }) {
+  const xHeader = axisHeader('x', axisScales.x, axisNames.x, dateFormat);
+  const yHeader = axisHeader('y', axisScales.y, axisNames.y, dateFormat);
+  const seriesList = formatDateValues(rawSeries, axisScales, dateFormat);
+  const extraColumns = seriesList.map(s => pointColumnsFor(s.points, axisNames.z));
+
+  if (layout !== 'wide') {
+    return seriesList.map((s, i) => ({
+      name: s.name,
+      header: [xHeader, yHeader, ...extraColumns[i].map(([, label]) => label)],
+      rows: s.points.map(p => [p.x, p.y, ...columnValues(p, extraColumns[i])])
+    }));
+  }
+
+  // Wide: one row per distinct X; a series with several Y at the same X gets extra rows.
+  // Rows are grouped and sorted on the raw X values and written with the formatted ones.
+  const byX = rawSeries.map((s, si) => {
+    const m = new Map();
+    s.points.forEach((p, pi) => {
+      if (!m.has(p.x)) m.set(p.x, []);
+      m.get(p.x).push(seriesList[si].points[pi]);
+    });
+    return m;
+  });
+  const xs = [...new Set(rawSeries.flatMap(s => s.points.map(p => p.x)))].sort((a, b) => a - b);
+  const rows = [];
+  for (const x of xs) {
+    const lists = byX.map(m => m.get(x) || []);
+    const n = Math.max(...lists.map(l => l.length));
+    const shownX = lists.find(l => l.length > 0)[0].x;
+    for (let r = 0; r < n; r++) {
+      rows.push([shownX, ...lists.flatMap((l, i) => [r < l.length ? l[r].y : '', ...columnValues(l[r], extraColumns[i])])]);
+    }
+  }
+  // The Y header's scale or date note, e.g. " (log10)", after each series name
+  const suffix = axisHeader('y', axisScales.y, 'Y', dateFormat).slice(1);
+  return [{
+    name: 'Graph Data',
+    header: [xHeader, ...seriesList.flatMap((s, i) => [
+      s.name + suffix,
+      ...extraColumns[i].map(([, label]) => `${s.name} ${label}`)
+    ])],
+    rows
+  }];
+}
+
+// Tables for a sampled color map (see GraphDigitizer.sampleColorMap). layout 'matrix':
+// one row per grid row, headed by its Y, with a column per grid column headed by its X;
+// 'long': one row of X, Y and value per cell whose color is on the colorbar. Options
+// as for buildExportTables, plus zName / zScale for the value column.
+function buildColorMapTables(map, layout, options = {}) {
+  const { axisScales = {}, axisNames = {}, dateFormat = { format: 'datetime', timezone: 'local' },
+    zName = '', zScale = 'linear' } = options;
+  const shown = axis => (axisScales[axis] === 'date'
+    ? v => formatDateTime(v, dateFormat.format, dateFormat.timezone) : v => v);
+  const showX = shown('x'), showY = shown('y');
+  const zHeader = axisHeader('z', zScale, zName, dateFormat);
+
+  if (layout === 'long') {
+    return [{
+      name: 'Color Map',
+      header: [axisHeader('x', axisScales.x, axisNames.x, dateFormat),
+        axisHeader('y', axisScales.y, axisNames.y, dateFormat), zHeader],
+      rows: map.cells.filter(c => c.z !== null).map(c => [showX(c.x), showY(c.y), c.z])
+    }];
+  }
+
+  const columns = map.xs.length;
+  return [{
+    name: 'Color Map',
+    header: [`${zHeader}: ${axisNames.y || 'Y'} \\ ${axisNames.x || 'X'}`, ...map.xs.map(showX)],
+    rows: map.ys.map((y, j) => [showY(y), ...map.cells.slice(j * columns, (j + 1) * columns)
+      .map(c => (c.z === null ? '' : c.z))])
+  }];
+}
+
+// Key/value table of the export info (see GraphDigitizer.getExportInfo), one row per
+// leaf value with its dotted path, e.g. calibration.points.0.value
+function buildInfoTable(info) {
+  const rows = [];
+  const walk = (value, path) => {
+    if (value !== null && typeof value === 'object') {
+      Object.keys(value).forEach(key => walk(value[key], path ? `${path}.${key}` : key));
+    } else {
+      rows.push([path, value === null || value === undefined ? '' : typeof value === 'number' ? value : String(value)]);
+    }
+  };
+  walk(info, '');
+  return { name: 'Info', header: ['Field', 'Value'], rows };
+}
+
+// Base for export file names: the source image's name without its extension
+function exportFileBase(imageName) {
+  const base = String(imageName || '').replace(/\.[^.]+$/, '');
+  return base.replace(/[^a-z0-9_\-]+/gi, '_').replace(/^_+|_+$/g, '') || 'graph_data';
+}
+
+function csvField(value) {
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One CSV file per table
+function exportCSV(tables, base = 'graph_data') {
+  for (const table of tables) {
+    let csv = table.header.map(csvField).join(',') + '\n';
+    for (const row of table.rows) {
+      csv += row.map(csvField).join(',') + '\n';
+    }
+    const filename = tables.length > 1 ? `${base}_${safeFileName(table.name)}.csv` : `${base}.csv`;
+    downloadFile(csv, filename, 'text/csv');
   }
-  downloadFile(csv, 'graph_data.csv', 'text/csv');
 }
 
-function exportExcel(data) {
-  // Create a simple XLSX file using the minimal XML spreadsheet format
-  // This produces a real .xlsx-compatible XML file that Excel can open
-  const xmlHeader = '<?xml version="1.0"?>\n<?mso-application progid="Excel.Sheet"?>\n';
-  const workbookStart = '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"\n xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n<Worksheet ss:Name="Graph Data"><Table>\n';
-  const workbookEnd = '</Table></Worksheet></Workbook>';
+// One worksheet per table, in a real .xlsx workbook
+function exportExcel(tables, base = 'graph_data') {
+  const usedNames = new Set();
+  const sheets = tables.map(table => ({ ...table, name: sheetName(table.name, usedNames) }));
+  downloadFile(buildXlsx(sheets), `${base}.xlsx`,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
 
-  let rows = '<Row><Cell><Data ss:Type="String">X</Data></Cell><Cell><Data ss:Type="String">Y</Data></Cell></Row>\n';
-  for (const pt of data) {
-    rows += `<Row><Cell><Data ss:Type="Number">${pt.x}</Data></Cell><Cell><Data ss:Type="Number">${pt.y}</Data></Cell></Row>\n`;
+// Excel sheet names: max 31 chars, no []:*?/\ and unique within the workbook
+function sheetName(name, usedNames) {
+  const base = (name.replace(/[[\]:*?/\\]/g, '_').slice(0, 31)) || 'Sheet';
+  let candidate = base;
+  for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+    candidate = `${base.slice(0, 31 - String(i).length - 1)}_${i}`;
   }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// The export as one JSON document: the info (image, calibration, settings) and each
+// series with its settings, fit and points. Values on date axes are ISO 8601 text.
+function buildExportJSON(info, seriesList) {
+  const { seriesSettings, ...rest } = info;
+  return {
+    format: 'graph-digitizer-data',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    ...rest,
+    series: formatDateValues(seriesList, rest.calibration.axisScales,
+      { format: 'iso', timezone: rest.settings.dateFormat.timezone }).map((s, i) => ({
+      ...seriesSettings[i],
+      name: s.name,
+      fit: s.fit ? { ...s.fit, equation: formatFitEquation(s.fit) } : null,
+      points: s.points.map(p => {
+        const point = {};
+        Object.keys(p).forEach(key => {
+          if (key !== 'index' && p[key] !== '') point[key] = p[key];
+        });
+        return point;
+      })
+    }))
+  };
+}
+
+function exportJSON(data, base = 'graph_data') {
+  downloadFile(JSON.stringify(data, null, 2), `${base}.json`, 'application/json');
+}
+
+// Tables as tab-separated text for pasting into a spreadsheet; several tables are
+// separated by a blank line and headed by their name
+function tablesToTSV(tables) {
+  const field = v => String(v).replace(/[\t\r\n]+/g, ' ');
+  return tables.map(table => {
+    const lines = [table.header, ...table.rows].map(row => row.map(field).join('\t'));
+    if (tables.length > 1) lines.unshift(field(table.name));
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// Put text on the clipboard. Uses the async clipboard API where available (secure
+// contexts) and a hidden textarea with execCommand otherwise, e.g. on file:// pages.
+function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+  return new Promise((resolve, reject) => {
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    const ok = document.execCommand('copy');
+    document.body.removeChild(area);
+    if (ok) resolve();
+    else reject(new Error('The browser did not allow copying to the clipboard'));
+  });
+}
 
-  const xml = xmlHeader + workbookStart + rows + workbookEnd;
-  downloadFile(xml, 'graph_data.xls', 'application/vnd.ms-excel');
+function safeFileName(name) {
+  return name.replace(/[^a-z0-9_\-]+/gi, '_').replace(/^_+|_+$/g, '') || 'series';
 }
 
 function downloadFile(content, filename, mimeType) {
@@ -0,0 +1,412 @@
+/**
+ * Pixel-level extraction algorithms
+ * Pure functions over an RGBA buffer or a match mask (1 = pixel matches the target color).
+ * They work in image pixel coordinates only; GraphDigitizer maps results to data values.
+ */
+
+// Mask of pixels inside `bounds`, outside `excludes`, for which matches(r, g, b) is true.
+// Pass `mask` to fill an existing mask (e.g. one band of rows at a time).
+function buildMatchMask(pixels, width, height, bounds, excludes, matches, mask = new Uint8Array(width * height)) {
+  for (let y = bounds.startY; y < bounds.endY; y++) {
+    for (let x = bounds.startX; x < bounds.endX; x++) {
+      if (isInRegions(excludes, x, y)) continue;
+      const idx = y * width + x;
+      const p = idx * 4;
+      if (matches(pixels[p], pixels[p + 1], pixels[p + 2])) mask[idx] = 1;
+    }
+  }
+  return mask;
+}
+
+function isInRegions(regions, x, y) {
+  for (const e of regions) {
+    if (x >= e.x1 && x <= e.x2 && y >= e.y1 && y <= e.y2) return true;
+  }
+  return false;
+}
+
+// Column scanning for lines and curves: at each of `columns`, collect matching Y positions
+// in a 3-pixel-wide window, group runs (within 5px) and emit each group's median Y
+function scanColumns(mask, width, bounds, columns) {
+  const points = [];
+  for (const x of columns) {
+    const yPositions = [];
+    for (let wx = Math.max(bounds.startX, x - 1); wx <= Math.min(bounds.endX - 1, x + 1); wx++) {
+      for (let y = bounds.startY; y < bounds.endY; y++) {
+        if (mask[y * width + wx]) yPositions.push(y);
+      }
+    }
+    if (yPositions.length === 0) continue;
+
+    // Group nearby Y values (within 5px) to handle line thickness
+    yPositions.sort((a, b) => a - b);
+    const groups = [];
+    let currentGroup = [yPositions[0]];
+    for (let i = 1; i < yPositions.length; i++) {
+      if (yPositions[i] - yPositions[i - 1] <= 5) {
+        currentGroup.push(yPositions[i]);
+      } else {
+        groups.push(currentGroup);
+        currentGroup = [yPositions[i]];
+      }
+    }
+    groups.push(currentGroup);
+
+    // For each group, take the median Y as a data point
+    for (const group of groups) {
+      points.push({ px: x, py: group[Math.floor(group.length / 2)] });
+    }
+  }
+  return points;
+}
+
+// 8-connected components of the mask within bounds.
+// Each blob: { area, cx, cy, minX, maxX, minY, maxY, pixels (indices into the mask) }
+function findBlobs(mask, width, bounds) {
+  const visited = new Uint8Array(mask.length);
+  const blobs = [];
+  const stack = [];
+
+  for (let y = bounds.startY; y < bounds.endY; y++) {
+    for (let x = bounds.startX; x < bounds.endX; x++) {
+      const start = y * width + x;
+      if (!mask[start] || visited[start]) continue;
+
+      const pixels = [];
+      let sumX = 0, sumY = 0;
+      let minX = x, maxX = x, minY = y, maxY = y;
+      visited[start] = 1;
+      stack.push(start);
+
+      while (stack.length > 0) {
+        const idx = stack.pop();
+        const px = idx % width, py = (idx - px) / width;
+        pixels.push(idx);
+        sumX += px; sumY += py;
+        if (px < minX) minX = px;
+        if (px > maxX) maxX = px;
+        if (py < minY) minY = py;
+        if (py > maxY) maxY = py;
+
+        for (let dy = -1; dy <= 1; dy++) {
+          const ny = py + dy;
+          if (ny < bounds.startY || ny >= bounds.endY) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = px + dx;
+            if (nx < bounds.startX || nx >= bounds.endX) continue;
+            const n = ny * width + nx;
+            if (mask[n] && !visited[n]) {
+              visited[n] = 1;
+              stack.push(n);
+            }
+          }
+        }
+      }
+
+      blobs.push({
+        area: pixels.length,
+        cx: sumX / pixels.length,
+        cy: sumY / pixels.length,
+        minX, maxX, minY, maxY,
+        pixels
+      });
+    }
+  }
+  return blobs;
+}
+
+// Scatter markers: one point per blob centroid. Blobs smaller than minSize (px, largest
+// bounding-box side) are noise; blobs whose area is about k times a typical marker are
+// split into k points; anything else larger than maxSize (lines, text) is dropped.
+function detectMarkers(mask, width, bounds, { minSize, maxSize }) {
+  const size = b => Math.max(b.maxX - b.minX, b.maxY - b.minY) + 1;
+  const blobs = findBlobs(mask, width, bounds).filter(b => size(b) >= minSize);
+
+  const singles = blobs.filter(b => size(b) <= maxSize).map(b => b.area).sort((a, b) => a - b);
+  if (singles.length === 0) return [];
+  const typicalArea = singles[Math.floor(singles.length / 2)];
+
+  const maxSplit = 8;
+  const points = [];
+  for (const blob of blobs) {
+    const k = Math.max(1, Math.round(blob.area / typicalArea));
+    if (k === 1) {
+      if (size(blob) <= maxSize) points.push({ px: blob.cx, py: blob.cy, area: blob.area });
+    } else if (k <= maxSplit && size(blob) <= maxSize * k) {
+      for (const c of splitBlob(blob, width, k)) {
+        points.push({ px: c.x, py: c.y, area: c.area });
+      }
+    }
+  }
+  return points;
+}
+
+// Split a blob of overlapping markers into k clusters (k-means on pixel positions,
+// seeded evenly along the blob's longest bounding-box side)
+function splitBlob(blob, width, k) {
+  const xs = blob.pixels.map(i => i % width);
+  const ys = blob.pixels.map((i, n) => (i - xs[n]) / width);
+  const horizontal = blob.maxX - blob.minX >= blob.maxY - blob.minY;
+
+  const order = xs.map((_, n) => n).sort((a, b) => (horizontal ? xs[a] - xs[b] : ys[a] - ys[b]));
+  let centers = [];
+  for (let c = 0; c < k; c++) {
+    const n = order[Math.floor((c + 0.5) / k * order.length)];
+    centers.push({ x: xs[n], y: ys[n], area: 0 });
+  }
+
+  for (let iter = 0; iter < 10; iter++) {
+    const sums = centers.map(() => ({ x: 0, y: 0, n: 0 }));
+    for (let n = 0; n < xs.length; n++) {
+      let best = 0, bestDist = Infinity;
+      for (let c = 0; c < k; c++) {
+        const d = (xs[n] - centers[c].x) ** 2 + (ys[n] - centers[c].y) ** 2;
+        if (d < bestDist) { bestDist = d; best = c; }
+      }
+      sums[best].x += xs[n];
+      sums[best].y += ys[n];
+      sums[best].n++;
+    }
+    centers = centers.map((c, i) => (sums[i].n > 0
+      ? { x: sums[i].x / sums[i].n, y: sums[i].y / sums[i].n, area: sums[i].n }
+      : c));
+  }
+  return centers.filter(c => c.area > 0);
+}
+
+// Follow a single curve from a seed pixel by continuity of position and direction.
+// Tracing starts both ways along the curve's direction around the seed. At each step
+// the next position is predicted along the current direction and matching pixels are
+// searched across it; the run closest to the prediction wins. Gaps (dashes, crossings
+// with other curves) are bridged by extrapolating up to `maxGap` pixels.
+// Returns the path as [{ px, py }], ordered from one end of the branch to the other.
+function traceCurve(mask, width, bounds, seed, opts = {}) {
+  const step = opts.step || 2;
+  const maxGap = opts.maxGap || 30;
+  const searchRadius = opts.searchRadius || 6;
+  const minTurnCos = Math.cos((opts.maxTurn || 60) * Math.PI / 180);
+  const maxSteps = opts.maxSteps || 20000;
+
+  const inBounds = (x, y) => x >= bounds.startX && x < bounds.endX && y >= bounds.startY && y < bounds.endY;
+  const on = (x, y) => {
+    const ix = Math.round(x), iy = Math.round(y);
+    return inBounds(ix, iy) && mask[iy * width + ix] === 1;
+  };
+
+  const start = nearestMaskPixel(mask, width, bounds, seed, 10);
+  if (!start) return [];
+
+  // Typical line thickness across the search direction, to recognise crossings
+  const widths = [];
+  const typicalWidth = () => (widths.length ? widths.slice().sort((a, b) => a - b)[widths.length >> 1] : null);
+
+  function follow(dir) {
+    const path = [];
+    let p = { x: start.x, y: start.y };
+    let anchor = p; // last point actually found on the curve
+    let d = dir;
+    let bend = 0; // smoothed change of direction per step (radians), continues curvature through gaps
+    let gap = 0;
+
+    for (let n = 0; n < maxSteps; n++) {
+      const pred = { x: p.x + d.x * step, y: p.y + d.y * step };
+      if (!inBounds(Math.round(pred.x), Math.round(pred.y))) break;
+
+      // Scan across the predicted position for runs of matching pixels
+      const nx = -d.y, ny = d.x;
+      const radius = searchRadius + gap / 4;
+      const dt = 0.5;
+      const typical = typicalWidth();
+      let best = null;
+      let runStart = null;
+      for (let t = -radius; t <= radius + dt; t += dt) {
+        const hit = t <= radius && on(pred.x + nx * t, pred.y + ny * t);
+        if (hit && runStart === null) runStart = t;
+        if (!hit && runStart !== null) {
+          const from = runStart, to = t - dt;
+          runStart = null;
+          const len = to - from + dt;
+          // A run much wider than the line is a crossing: trust the prediction inside it
+          const crossing = typical !== null && len > 3 * typical && from <= 0 && to >= 0;
+          const offset = crossing ? 0 : (from + to) / 2;
+          const cand = { x: pred.x + nx * offset, y: pred.y + ny * offset };
+          const vx = cand.x - anchor.x, vy = cand.y - anchor.y;
+          const vlen = Math.hypot(vx, vy) || 1;
+          if ((vx * d.x + vy * d.y) / vlen < minTurnCos) continue;
+          if (!best || Math.abs(offset) < Math.abs(best.offset)) best = { cand, offset, len, crossing };
+        }
+      }
+
+      if (best) {
+        const vx = best.cand.x - anchor.x, vy = best.cand.y - anchor.y;
+        const vlen = Math.hypot(vx, vy) || 1;
+        // Smooth the direction so single-pixel jitter doesn't steer the tracer
+        const sx = d.x * 0.6 + vx / vlen * 0.4, sy = d.y * 0.6 + vy / vlen * 0.4;
+        const slen = Math.hypot(sx, sy) || 1;
+        const nd = { x: sx / slen, y: sy / slen };
+        const turn = Math.atan2(d.x * nd.y - d.y * nd.x, d.x * nd.x + d.y * nd.y);
+        bend = bend * 0.7 + turn * 0.3;
+        d = nd;
+        p = anchor = best.cand;
+        path.push({ px: p.x, py: p.y });
+        if (!best.crossing) widths.push(best.len);
+        if (widths.length > 50) widths.shift();
+        gap = 0;
+      } else {
+        gap += step;
+        if (gap > maxGap) break;
+        p = pred;
+        const c = Math.cos(bend), sn = Math.sin(bend);
+        d = { x: d.x * c - d.y * sn, y: d.x * sn + d.y * c };
+      }
+
+      // Closed loop: back at the seed after going around
+      if (path.length > 20 && Math.hypot(p.x - start.x, p.y - start.y) < step) break;
+    }
+    return path;
+  }
+
+  // Start along the curve's local direction, so steep and vertical stretches trace too
+  const dir = principalDirection(mask, width, bounds, start, searchRadius);
+  const forward = follow(dir);
+  const backward = follow({ x: -dir.x, y: -dir.y });
+  return [...backward.reverse(), { px: start.x, py: start.y }, ...forward];
+}
+
+// Direction of the mask pixels within `radius` of `p`: the principal axis of their
+// positions, as a unit vector pointing right (or down when vertical). Horizontal when
+// the neighborhood has no clear direction.
+function principalDirection(mask, width, bounds, p, radius) {
+  let n = 0, sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+  for (let y = Math.max(bounds.startY, p.y - radius); y <= Math.min(bounds.endY - 1, p.y + radius); y++) {
+    for (let x = Math.max(bounds.startX, p.x - radius); x <= Math.min(bounds.endX - 1, p.x + radius); x++) {
+      if (!mask[y * width + x] || (x - p.x) ** 2 + (y - p.y) ** 2 > radius * radius) continue;
+      n++; sx += x; sy += y; sxx += x * x; syy += y * y; sxy += x * y;
+    }
+  }
+  if (n < 2) return { x: 1, y: 0 };
+  const cxx = sxx / n - (sx / n) ** 2, cyy = syy / n - (sy / n) ** 2, cxy = sxy / n - (sx / n) * (sy / n);
+  if (cxx + cyy === 0) return { x: 1, y: 0 };
+  const angle = 0.5 * Math.atan2(2 * cxy, cxx - cyy);
+  const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+  return dir.x < -1e-9 || (Math.abs(dir.x) <= 1e-9 && dir.y < 0) ? { x: -dir.x, y: -dir.y } : dir;
+}
+
+// Closest mask pixel to `p` within `radius`, or null
+function nearestMaskPixel(mask, width, bounds, p, radius) {
+  const cx = Math.round(p.x), cy = Math.round(p.y);
+  let best = null, bestDist = Infinity;
+  for (let y = Math.max(bounds.startY, cy - radius); y <= Math.min(bounds.endY - 1, cy + radius); y++) {
+    for (let x = Math.max(bounds.startX, cx - radius); x <= Math.min(bounds.endX - 1, cx + radius); x++) {
+      if (!mask[y * width + x]) continue;
+      const d = (x - p.x) ** 2 + (y - p.y) ** 2;
+      if (d < bestDist) { bestDist = d; best = { x, y }; }
+    }
+  }
+  return best;
+}
+
+// Bars: filled rectangles of the mask. Each blob is cut where its far edge (top for
+// vertical bars, right for horizontal) steps, so adjacent histogram bins of different
+// height separate; bins of equal height that touch stay one bar. Runs thinner than
+// minWidth or less than minFill covered (outlines, text, curves) are dropped.
+// Returns inclusive pixel rectangles [{ x1, y1, x2, y2 }] in scan order.
+function detectBars(mask, width, bounds, { orientation = 'vertical', minWidth = 3, minFill = 0.6 } = {}) {
+  const vertical = orientation !== 'horizontal';
+  const bars = [];
+
+  for (const blob of findBlobs(mask, width, bounds)) {
+    // Extent of the blob across each column (vertical bars) or row (horizontal bars)
+    const from = vertical ? blob.minX : blob.minY;
+    const to = vertical ? blob.maxX : blob.maxY;
+    const lo = new Array(to - from + 1).fill(Infinity);
+    const hi = new Array(to - from + 1).fill(-Infinity);
+    const count = new Array(to - from + 1).fill(0);
+    for (const idx of blob.pixels) {
+      const x = idx % width, y = (idx - x) / width;
+      const pos = (vertical ? x : y) - from;
+      const along = vertical ? y : x;
+      if (along < lo[pos]) lo[pos] = along;
+      if (along > hi[pos]) hi[pos] = along;
+      count[pos]++;
+    }
+
+    let runStart = 0;
+    for (let i = 1; i <= lo.length; i++) {
+      const split = i === lo.length || Math.abs(lo[i] - lo[i - 1]) > 2 || Math.abs(hi[i] - hi[i - 1]) > 2;
+      if (!split) continue;
+      const bar = barFromRun(lo, hi, count, runStart, i - 1, minWidth, minFill);
+      if (bar) {
+        bars.push(vertical
+          ? { x1: from + runStart, x2: from + i - 1, y1: bar.lo, y2: bar.hi }
+          : { x1: bar.lo, x2: bar.hi, y1: from + runStart, y2: from + i - 1 });
+      }
+      runStart = i;
+    }
+  }
+
+  bars.sort((a, b) => (vertical ? a.x1 - b.x1 : a.y1 - b.y1));
+  return bars;
+}
+
+// Median extent of a run of columns/rows, or null if it doesn't look like a filled bar
+function barFromRun(lo, hi, count, start, end, minWidth, minFill) {
+  if (end - start + 1 < minWidth) return null;
+  const median = arr => arr.slice().sort((a, b) => a - b)[arr.length >> 1];
+  const barLo = median(lo.slice(start, end + 1));
+  const barHi = median(hi.slice(start, end + 1));
+  if (barHi - barLo < 1) return null;
+
+  let filled = 0;
+  for (let i = start; i <= end; i++) filled += count[i];
+  const area = (end - start + 1) * (barHi - barLo + 1);
+  return filled / area >= minFill ? { lo: barLo, hi: barHi } : null;
+}
+
+// Length in pixels of an error bar leaving (px, py) along the unit direction (dx, dy),
+// or 0 if there is none. The walk skips the marker itself (wider than maxLineWidth, or
+// not matching when drawn in another color) for up to searchRadius pixels, then follows
+// the thin bar across gaps of up to maxGap pixels and stops at the cap (a wide run).
+function measureErrorBar(mask, width, bounds, px, py, dx, dy, opts = {}) {
+  const maxLineWidth = opts.maxLineWidth || 4;
+  const searchRadius = opts.searchRadius || 15;
+  const maxGap = opts.maxGap || 2;
+  const minLength = opts.minLength || 3;
+
+  const inBounds = (x, y) => x >= bounds.startX && x < bounds.endX && y >= bounds.startY && y < bounds.endY;
+  const on = (x, y) => {
+    const ix = Math.round(x), iy = Math.round(y);
+    return inBounds(ix, iy) && mask[iy * width + ix] === 1;
+  };
+  // Matching run across the walk direction through (x, y)
+  const across = (x, y) => {
+    let w = 1;
+    for (let t = 1; t <= maxLineWidth && on(x - dy * t, y + dx * t); t++) w++;
+    for (let t = 1; t <= maxLineWidth && on(x + dy * t, y - dx * t); t++) w++;
+    return w;
+  };
+
+  let start = 0, end = 0, misses = 0;
+  for (let s = 1; inBounds(Math.round(px + dx * s), Math.round(py + dy * s)); s++) {
+    const x = px + dx * s, y = py + dy * s;
+    // The bar may run a pixel beside the point's center line
+    let hit = null;
+    for (const o of [0, -1, 1]) {
+      if (on(x - dy * o, y + dx * o)) { hit = { x: x - dy * o, y: y + dx * o }; break; }
+    }
+
+    if (!start) {
+      if (hit && across(hit.x, hit.y) <= maxLineWidth) start = end = s;
+      else if (s > searchRadius) return 0;
+      continue;
+    }
+    if (!hit) {
+      if (++misses > maxGap) break;
+      continue;
+    }
+    misses = 0;
+    end = s;
+    if (across(hit.x, hit.y) > maxLineWidth) break; // cap
+  }
+  return end - start + 1 >= minLength ? end : 0;
+}
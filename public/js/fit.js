@@ -0,0 +1,200 @@
+/**
+ * Curve fitting
+ * Least-squares fits of common models to { x, y } points in data units: polynomials
+ * (solved directly), logarithmic (linear in ln x) and exponential, power-law and
+ * Gaussian models (log-linear start, refined with Levenberg-Marquardt on y itself).
+ * A fit is plain data { model, degree, params, r2, rmse, n }; evaluateFit computes
+ * its value at any X.
+ */
+
+const FIT_MODELS = {
+  polynomial: 'Polynomial',
+  exponential: 'Exponential',
+  power: 'Power law',
+  logarithmic: 'Logarithmic',
+  gaussian: 'Gaussian'
+};
+
+// Model value at x for a fit's params
+function evaluateFit(fit, x) {
+  const p = fit.params;
+  switch (fit.model) {
+    case 'polynomial': {
+      let y = 0;
+      for (let i = p.length - 1; i >= 0; i--) y = y * x + p[i];
+      return y;
+    }
+    case 'exponential': return p[0] * Math.exp(p[1] * x);
+    case 'power': return x > 0 ? p[0] * Math.pow(x, p[1]) : NaN;
+    case 'logarithmic': return x > 0 ? p[0] + p[1] * Math.log(x) : NaN;
+    case 'gaussian': return p[0] * Math.exp(-((x - p[1]) ** 2) / (2 * p[2] * p[2]));
+    default: return NaN;
+  }
+}
+
+// Fit `model` to points; null when there are too few usable points or the problem is
+// degenerate. Power and logarithmic fits use only points with x > 0.
+function fitCurve(points, model, { degree = 2 } = {}) {
+  let pts = points.filter(p => isFinite(p.x) && isFinite(p.y));
+  if (model === 'power' || model === 'logarithmic') pts = pts.filter(p => p.x > 0);
+  const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+
+  let params = null;
+  if (model === 'polynomial') {
+    degree = Math.max(1, Math.min(9, Math.round(degree)));
+    if (pts.length > degree) params = fitPolynomial(xs, ys, degree);
+  } else if (model === 'logarithmic') {
+    const line = pts.length >= 2 ? fitPolynomial(xs.map(Math.log), ys, 1) : null;
+    params = line;
+  } else if (model === 'exponential' || model === 'power' || model === 'gaussian') {
+    const start = pts.length >= 3 ? initialParams(model, xs, ys) : null;
+    if (start) params = levenbergMarquardt(xs, ys, start, MODEL_GRADIENTS[model]);
+  }
+  if (!params || !params.every(isFinite)) return null;
+
+  const fit = { model, params };
+  if (model === 'polynomial') fit.degree = degree;
+  const stats = fitStatistics(fit, xs, ys);
+  return { ...fit, ...stats, n: pts.length };
+}
+
+// R² and root-mean-square residual over the points used
+function fitStatistics(fit, xs, ys) {
+  const mean = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let ssRes = 0, ssTot = 0;
+  ys.forEach((y, i) => {
+    ssRes += (y - evaluateFit(fit, xs[i])) ** 2;
+    ssTot += (y - mean) ** 2;
+  });
+  return { r2: ssTot > 0 ? 1 - ssRes / ssTot : 1, rmse: Math.sqrt(ssRes / ys.length) };
+}
+
+// Starting values for the nonlinear models
+function initialParams(model, xs, ys) {
+  if (model === 'gaussian') {
+    let peak = 0;
+    ys.forEach((y, i) => { if (Math.abs(y) > Math.abs(ys[peak])) peak = i; });
+    const a = ys[peak], b = xs[peak];
+    let sw = 0, sv = 0;
+    ys.forEach((y, i) => {
+      const w = Math.max(0, y / a);
+      sw += w;
+      sv += w * (xs[i] - b) ** 2;
+    });
+    const range = Math.max(...xs) - Math.min(...xs);
+    const c = sw > 0 && sv > 0 ? Math.sqrt(sv / sw) : range / 6;
+    return a !== 0 && c > 0 ? [a, b, c] : null;
+  }
+  // Exponential and power laws are straight lines in log space: fit ln|y| against
+  // x (or ln x) over the points sharing the majority sign of y
+  const sign = ys.filter(y => y > 0).length >= ys.filter(y => y < 0).length ? 1 : -1;
+  const lx = [], ly = [];
+  ys.forEach((y, i) => {
+    if (y * sign > 0) {
+      lx.push(model === 'power' ? Math.log(xs[i]) : xs[i]);
+      ly.push(Math.log(y * sign));
+    }
+  });
+  if (lx.length < 2) return null;
+  const line = fitPolynomial(lx, ly, 1);
+  return line ? [sign * Math.exp(line[0]), line[1]] : null;
+}
+
+// Partial derivatives of each nonlinear model with respect to its params
+const MODEL_GRADIENTS = {
+  exponential: {
+    value: (x, p) => p[0] * Math.exp(p[1] * x),
+    grad: (x, p) => {
+      const e = Math.exp(p[1] * x);
+      return [e, p[0] * x * e];
+    }
+  },
+  power: {
+    value: (x, p) => p[0] * Math.pow(x, p[1]),
+    grad: (x, p) => {
+      const e = Math.pow(x, p[1]);
+      return [e, p[0] * e * Math.log(x)];
+    }
+  },
+  gaussian: {
+    value: (x, p) => p[0] * Math.exp(-((x - p[1]) ** 2) / (2 * p[2] * p[2])),
+    grad: (x, p) => {
+      const d = x - p[1], c2 = p[2] * p[2];
+      const e = Math.exp(-d * d / (2 * c2));
+      return [e, p[0] * e * d / c2, p[0] * e * d * d / (c2 * p[2])];
+    }
+  }
+};
+
+// Levenberg-Marquardt least squares from `start`; returns the refined params
+function levenbergMarquardt(xs, ys, start, { value, grad }, maxIter = 200) {
+  const k = start.length;
+  const sse = (p) => {
+    let s = 0;
+    for (let i = 0; i < xs.length; i++) s += (ys[i] - value(xs[i], p)) ** 2;
+    return s;
+  };
+  let params = start.slice();
+  let err = sse(params);
+  let lambda = 1e-3;
+
+  for (let iter = 0; iter < maxIter && isFinite(err); iter++) {
+    const A = Array.from({ length: k }, () => new Array(k).fill(0));
+    const g = new Array(k).fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      const J = grad(xs[i], params);
+      const r = ys[i] - value(xs[i], params);
+      for (let a = 0; a < k; a++) {
+        g[a] += J[a] * r;
+        for (let b = 0; b < k; b++) A[a][b] += J[a] * J[b];
+      }
+    }
+
+    // Raise lambda until a step lowers the error
+    let improved = false;
+    while (lambda < 1e12) {
+      const damped = A.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) + 1e-12 : v)));
+      const step = solveLinearSystem(damped, g);
+      if (step) {
+        const next = params.map((v, a) => v + step[a]);
+        const nextErr = sse(next);
+        if (isFinite(nextErr) && nextErr < err) {
+          const gain = (err - nextErr) / (err || 1);
+          params = next;
+          err = nextErr;
+          lambda = Math.max(1e-12, lambda / 10);
+          improved = gain > 1e-12;
+          break;
+        }
+      }
+      lambda *= 10;
+    }
+    if (!improved) break;
+  }
+  return params;
+}
+
+// Human-readable equation, e.g. "y = 2.5·x² - 1.2·x + 0.3"
+function formatFitEquation(fit) {
+  const num = v => String(parseFloat(v.toPrecision(6)));
+  const p = fit.params;
+  switch (fit.model) {
+    case 'polynomial': {
+      const sup = { 2: '²', 3: '³' };
+      const terms = [];
+      for (let k = p.length - 1; k >= 0; k--) {
+        if (p[k] === 0) continue;
+        const power = k === 0 ? '' : k === 1 ? '·x' : `·x${sup[k] || `^${k}`}`;
+        const mag = num(Math.abs(p[k]));
+        terms.push({ neg: p[k] < 0, text: mag + power });
+      }
+      if (terms.length === 0) return 'y = 0';
+      return 'y = ' + terms.map((t, i) => (i === 0 ? (t.neg ? '-' : '') : (t.neg ? ' - ' : ' + ')) + t.text).join('');
+    }
+    case 'exponential': return `y = ${num(p[0])}·e^(${num(p[1])}·x)`;
+    case 'power': return `y = ${num(p[0])}·x^${num(p[1])}`;
+    case 'logarithmic': return `y = ${num(p[0])} + ${num(p[1])}·ln(x)`;
+    case 'gaussian': return `y = ${num(p[0])}·e^(-(x - ${num(p[1])})²/(2·${num(Math.abs(p[2]))}²))`;
+    default: return '';
+  }
+}
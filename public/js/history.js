@@ -0,0 +1,68 @@
+/**
+ * Undo/redo history
+ * Stores snapshots of the digitizer state taken before each mutation.
+ */
+
+class EditHistory {
+  constructor(limit = 100, mergeWindow = 1000) {
+    this.limit = limit;
+    this.mergeWindow = mergeWindow; // ms without a record after which merging stops
+    this.undoStack = [];
+    this.redoStack = [];
+    this._lastRecord = 0;
+  }
+
+  // Record the state before a mutation. Consecutive records with the same
+  // mergeKey (e.g. dragging a slider) collapse into a single undo step, as long
+  // as they follow each other within mergeWindow and no endMerge() came between.
+  record(label, snapshot, mergeKey = null) {
+    const last = this.undoStack[this.undoStack.length - 1];
+    const now = Date.now();
+    const recent = now - this._lastRecord <= this.mergeWindow;
+    this._lastRecord = now;
+    this.redoStack = [];
+    if (mergeKey && last && last.mergeKey === mergeKey && recent) return;
+    this.undoStack.push({ label, snapshot, mergeKey });
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+  }
+
+  // The next record starts a new undo step even with the same mergeKey (e.g. once
+  // the pointer is released at the end of a drag)
+  endMerge() {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (last) last.mergeKey = null;
+  }
+
+  // Pop the last step; `current` is the snapshot to return to on redo
+  undo(current) {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    this.redoStack.push({ label: entry.label, snapshot: current, mergeKey: null });
+    return entry;
+  }
+
+  redo(current) {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    this.undoStack.push({ label: entry.label, snapshot: current, mergeKey: null });
+    return entry;
+  }
+
+  canUndo() { return this.undoStack.length > 0; }
+  canRedo() { return this.redoStack.length > 0; }
+
+  undoLabel() {
+    const entry = this.undoStack[this.undoStack.length - 1];
+    return entry ? entry.label : null;
+  }
+
+  redoLabel() {
+    const entry = this.redoStack[this.redoStack.length - 1];
+    return entry ? entry.label : null;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
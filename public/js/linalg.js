@@ -0,0 +1,72 @@
+/**
+ * Small dense linear algebra helpers used by calibration and fitting
+ */
+
+// Solve A·x = b by Gaussian elimination with partial pivoting
+// Returns null when the system is (numerically) singular
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  let scale = 0;
+  for (const row of A) for (const v of row) scale = Math.max(scale, Math.abs(v));
+  const eps = (scale || 1) * 1e-10;
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < eps) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      if (f === 0) continue;
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
+
+// Polynomial coefficients [c0, c1, ...] by least squares. X is centered and scaled
+// first so high degrees stay well conditioned, then the coefficients are expanded
+// back to powers of x.
+function fitPolynomial(xs, ys, degree) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const sx = Math.max(...xs.map(x => Math.abs(x - mx))) || 1;
+  const ts = xs.map(x => (x - mx) / sx);
+
+  const size = degree + 1;
+  const A = Array.from({ length: size }, () => new Array(size).fill(0));
+  const b = new Array(size).fill(0);
+  ts.forEach((t, i) => {
+    const pow = [1];
+    for (let k = 1; k < 2 * size; k++) pow.push(pow[k - 1] * t);
+    for (let r = 0; r < size; r++) {
+      b[r] += pow[r] * ys[i];
+      for (let c = 0; c < size; c++) A[r][c] += pow[r + c];
+    }
+  });
+  const q = solveLinearSystem(A, b);
+  if (!q) return null;
+
+  // Σ q_k ((x - mx) / sx)^k expanded with the binomial theorem
+  const coef = new Array(size).fill(0);
+  for (let k = 0; k < size; k++) {
+    const scale = q[k] / Math.pow(sx, k);
+    let binom = 1;
+    for (let j = 0; j <= k; j++) {
+      coef[j] += scale * binom * Math.pow(-mx, k - j);
+      binom = binom * (k - j) / (j + 1);
+    }
+  }
+  return coef;
+}
@@ -0,0 +1,202 @@
+/**
+ * Image preprocessing before color matching
+ * Produces a working copy of an RGBA buffer with the background flattened, long
+ * horizontal/vertical grid lines removed and optionally binarized. Pure functions;
+ * GraphDigitizer decides when to run them and caches the result.
+ */
+
+// Apply the enabled steps of `options` ({ flattenBackground, removeGrid, binarize })
+// in that order and return a new RGBA buffer; the input is left untouched
+function preprocessImage(pixels, width, height, options) {
+  const out = new Uint8ClampedArray(pixels);
+  const background = estimateBackground(out, width, height);
+
+  if (options.flattenBackground) {
+    for (let i = 0; i < width * height; i++) {
+      const p = i * 4, bg = i * 3;
+      for (let c = 0; c < 3; c++) {
+        out[p + c] = Math.min(255, out[p + c] * 255 / Math.max(1, background[bg + c]));
+      }
+      background[bg] = background[bg + 1] = background[bg + 2] = 255;
+    }
+  }
+  if (options.removeGrid) removeGridLines(out, width, height, background);
+  if (options.binarize) binarize(out, width, height);
+  return out;
+}
+
+// Smooth per-pixel background color: the mean of the brightest 10% of pixels in each
+// 32px block, bilinearly interpolated between block centers. Returns RGB triples.
+function estimateBackground(pixels, width, height, block = 32) {
+  const bw = Math.ceil(width / block), bh = Math.ceil(height / block);
+  const blocks = new Float32Array(bw * bh * 3);
+  const lum = new Uint8Array(width * height);
+  for (let i = 0; i < lum.length; i++) {
+    const p = i * 4;
+    lum[i] = Math.round(0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2]);
+  }
+
+  for (let by = 0; by < bh; by++) {
+    for (let bx = 0; bx < bw; bx++) {
+      const hist = new Uint32Array(256);
+      const x0 = bx * block, y0 = by * block;
+      const x1 = Math.min(width, x0 + block), y1 = Math.min(height, y0 + block);
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) hist[lum[y * width + x]]++;
+      }
+      // Luminance above which the brightest 10% lie
+      let cutoff = 255;
+      for (let n = 0, need = (x1 - x0) * (y1 - y0) * 0.1; cutoff > 0; cutoff--) {
+        n += hist[cutoff];
+        if (n >= need) break;
+      }
+      const sum = [0, 0, 0];
+      let count = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          if (lum[y * width + x] < cutoff) continue;
+          const p = (y * width + x) * 4;
+          sum[0] += pixels[p]; sum[1] += pixels[p + 1]; sum[2] += pixels[p + 2];
+          count++;
+        }
+      }
+      const b = (by * bw + bx) * 3;
+      for (let c = 0; c < 3; c++) blocks[b + c] = sum[c] / count;
+    }
+  }
+
+  // Interpolation weights per column, shared by every row
+  const colX0 = new Int32Array(width), colX1 = new Int32Array(width), colT = new Float32Array(width);
+  for (let x = 0; x < width; x++) {
+    const fx = Math.min(bw - 1, Math.max(0, (x + 0.5) / block - 0.5));
+    colX0[x] = Math.floor(fx);
+    colX1[x] = Math.min(bw - 1, colX0[x] + 1);
+    colT[x] = fx - colX0[x];
+  }
+
+  const background = new Float32Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    const fy = Math.min(bh - 1, Math.max(0, (y + 0.5) / block - 0.5));
+    const y0 = Math.floor(fy), y1 = Math.min(bh - 1, y0 + 1), ty = fy - y0;
+    const row0 = y0 * bw * 3, row1 = y1 * bw * 3;
+    for (let x = 0; x < width; x++) {
+      const a = colX0[x] * 3, b = colX1[x] * 3, tx = colT[x];
+      const out = (y * width + x) * 3;
+      for (let c = 0; c < 3; c++) {
+        const top = blocks[row0 + a + c] + (blocks[row0 + b + c] - blocks[row0 + a + c]) * tx;
+        const bottom = blocks[row1 + a + c] + (blocks[row1 + b + c] - blocks[row1 + a + c]) * tx;
+        background[out + c] = top + (bottom - top) * ty;
+      }
+    }
+  }
+  return background;
+}
+
+// Erase thin straight lines (grid lines, axes, frames) by painting them with the
+// background. A line is a run of foreground pixels at least a quarter of the image long
+// (gaps up to 3px bridged, so dashed grids count) and at most maxThickness thick, which
+// keeps bars and filled areas. Only pixels close to the line's own color are erased, so
+// curves crossing a grid line keep their pixels.
+function removeGridLines(pixels, width, height, background, maxThickness = 3) {
+  const foreground = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const p = i * 4, bg = i * 3;
+    const diff = Math.max(
+      Math.abs(pixels[p] - background[bg]),
+      Math.abs(pixels[p + 1] - background[bg + 1]),
+      Math.abs(pixels[p + 2] - background[bg + 2]));
+    if (diff > 30) foreground[i] = 1;
+  }
+
+  const erase = new Uint8Array(width * height);
+  // Horizontal lines scan rows (along x, thickness along y); vertical lines the reverse
+  markLines(foreground, erase, pixels, height, width, (line, i) => i + line * width, width / 4, maxThickness);
+  markLines(foreground, erase, pixels, width, height, (line, i) => line + i * width, height / 4, maxThickness);
+
+  for (let i = 0; i < width * height; i++) {
+    if (!erase[i]) continue;
+    const p = i * 4, bg = i * 3;
+    pixels[p] = background[bg];
+    pixels[p + 1] = background[bg + 1];
+    pixels[p + 2] = background[bg + 2];
+  }
+}
+
+// One direction of removeGridLines. index(line, i) maps (line, position along it) to a
+// pixel index; `count` lines of `length` pixels each.
+function markLines(foreground, erase, pixels, count, length, index, minLength, maxThickness) {
+  // Pixels on long runs, per line
+  const onRun = new Uint8Array(foreground.length);
+  for (let line = 0; line < count; line++) {
+    let start = -1, lastHit = -10;
+    const close = (end) => {
+      if (start >= 0 && end - start + 1 >= minLength) {
+        for (let i = start; i <= end; i++) if (foreground[index(line, i)]) onRun[index(line, i)] = 1;
+      }
+    };
+    for (let i = 0; i < length; i++) {
+      if (!foreground[index(line, i)]) continue;
+      if (i - lastHit > 4) {
+        close(lastHit);
+        start = i;
+      }
+      lastHit = i;
+    }
+    close(lastHit);
+  }
+
+  // Keep only thin stacks of run pixels across the lines, and erase those matching the
+  // median color of their line
+  for (let line = 0; line < count; line++) {
+    const members = [];
+    for (let i = 0; i < length; i++) {
+      const idx = index(line, i);
+      if (!onRun[idx]) continue;
+      let thickness = 1;
+      for (let d = 1; d <= maxThickness && line - d >= 0 && onRun[index(line - d, i)]; d++) thickness++;
+      for (let d = 1; d <= maxThickness && line + d < count && onRun[index(line + d, i)]; d++) thickness++;
+      if (thickness <= maxThickness) members.push(idx);
+    }
+    if (members.length < minLength) continue;
+
+    const median = c => members.map(idx => pixels[idx * 4 + c]).sort((a, b) => a - b)[members.length >> 1];
+    const lineColor = [median(0), median(1), median(2)];
+    for (const idx of members) {
+      const p = idx * 4;
+      const d = Math.abs(pixels[p] - lineColor[0]) + Math.abs(pixels[p + 1] - lineColor[1]) + Math.abs(pixels[p + 2] - lineColor[2]);
+      if (d <= 60) erase[idx] = 1;
+    }
+  }
+}
+
+// Black and white by Otsu's threshold on luminance
+function binarize(pixels, width, height) {
+  const n = width * height;
+  const lum = new Uint8Array(n);
+  const hist = new Uint32Array(256);
+  for (let i = 0; i < n; i++) {
+    const p = i * 4;
+    lum[i] = Math.round(0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2]);
+    hist[lum[i]]++;
+  }
+
+  let total = 0;
+  for (let t = 0; t < 256; t++) total += t * hist[t];
+  let sumB = 0, weightB = 0, best = 0, threshold = 128;
+  for (let t = 0; t < 256; t++) {
+    weightB += hist[t];
+    if (weightB === 0) continue;
+    const weightF = n - weightB;
+    if (weightF === 0) break;
+    sumB += t * hist[t];
+    const meanB = sumB / weightB, meanF = (total - sumB) / weightF;
+    const between = weightB * weightF * (meanB - meanF) ** 2;
+    if (between > best) { best = between; threshold = t; }
+  }
+
+  for (let i = 0; i < n; i++) {
+    const v = lum[i] <= threshold ? 0 : 255;
+    const p = i * 4;
+    pixels[p] = pixels[p + 1] = pixels[p + 2] = v;
+  }
+}
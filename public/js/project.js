@@ -0,0 +1,77 @@
+/**
+ * Project files and autosave
+ * A project is JSON holding the digitizer state plus the image as a data URL.
+ * The latest state is also autosaved to IndexedDB so a crashed tab can be recovered.
+ */
+
+const PROJECT_FORMAT = 'graph-digitizer-project';
+const PROJECT_VERSION = 1;
+
+function saveProjectFile(project) {
+  const base = (project.imageName || 'graph').replace(/\.[^.]+$/, '');
+  downloadFile(JSON.stringify(project), `${safeFileName(base)}.digitizer.json`, 'application/json');
+}
+
+function readProjectFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const project = JSON.parse(e.target.result);
+        if (project.format !== PROJECT_FORMAT || !project.image) {
+          reject(new Error('Not a Graph Digitizer project file.'));
+          return;
+        }
+        if (project.version > PROJECT_VERSION) {
+          reject(new Error('This project was saved by a newer version of Graph Digitizer.'));
+          return;
+        }
+        resolve(project);
+      } catch (err) {
+        reject(new Error('Project file is not valid JSON.'));
+      }
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// --- IndexedDB autosave ---
+const AUTOSAVE_DB = 'graph-digitizer';
+const AUTOSAVE_STORE = 'projects';
+const AUTOSAVE_KEY = 'autosave';
+
+function openProjectDB() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(AUTOSAVE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(AUTOSAVE_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run one request against the autosave store and resolve with its result
+function autosaveRequest(mode, makeRequest) {
+  return openProjectDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(AUTOSAVE_STORE, mode);
+    const req = makeRequest(tx.objectStore(AUTOSAVE_STORE));
+    tx.oncomplete = () => { db.close(); resolve(req.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  }));
+}
+
+function saveAutosave(project) {
+  return autosaveRequest('readwrite', store => store.put(project, AUTOSAVE_KEY));
+}
+
+function loadAutosave() {
+  return autosaveRequest('readonly', store => store.get(AUTOSAVE_KEY));
+}
+
+function clearAutosave() {
+  return autosaveRequest('readwrite', store => store.delete(AUTOSAVE_KEY));
+}
@@ -0,0 +1,175 @@
+/**
+ * Resampling of extracted curves
+ * Smooths a series and interpolates it onto a regular X grid or a list of X values, so
+ * exports line up with downstream models. Pure functions over { x, y } arrays in each
+ * axis's linear space; GraphDigitizer converts log/reciprocal values around them.
+ */
+
+const INTERPOLATION_METHODS = {
+  linear: 'Linear',
+  monotone: 'Monotone cubic',
+  spline: 'Cubic spline'
+};
+
+const SMOOTHING_METHODS = {
+  none: 'None',
+  moving: 'Moving average',
+  savgol: 'Savitzky-Golay'
+};
+
+// Sort by X and average the Y values sharing an X (column scans can report several)
+function prepareCurve(points) {
+  const sorted = points.filter(p => isFinite(p.x) && isFinite(p.y)).sort((a, b) => a.x - b.x);
+  const out = [];
+  for (let i = 0; i < sorted.length;) {
+    let j = i, sum = 0;
+    while (j < sorted.length && sorted[j].x === sorted[i].x) sum += sorted[j++].y;
+    out.push({ x: sorted[i].x, y: sum / (j - i) });
+    i = j;
+  }
+  return out;
+}
+
+// Smoothed copy of a sorted curve. `window` is the odd number of neighboring points
+// used: a centered mean for 'moving', a local quadratic least-squares fit for 'savgol'
+// (the Savitzky-Golay filter on evenly spaced X, and its natural extension otherwise).
+// Near the ends the window shrinks (moving) or stays full size but off-center (savgol).
+function smoothCurve(curve, method, window = 5) {
+  const n = curve.length;
+  const half = Math.max(1, Math.floor(window / 2));
+  if (method === 'moving') {
+    return curve.map((p, i) => {
+      const reach = Math.min(half, i, n - 1 - i);
+      let sum = 0;
+      for (let k = i - reach; k <= i + reach; k++) sum += curve[k].y;
+      return { x: p.x, y: sum / (2 * reach + 1) };
+    });
+  }
+  if (method === 'savgol' && n >= 3) {
+    const size = Math.min(n, 2 * half + 1);
+    return curve.map((p, i) => {
+      const lo = Math.max(0, Math.min(n - size, i - half));
+      return { x: p.x, y: localQuadratic(curve, lo, lo + size - 1, p.x) };
+    });
+  }
+  return curve.map(p => ({ x: p.x, y: p.y }));
+}
+
+// Least-squares quadratic through curve[lo..hi], evaluated at x (centered on x for
+// conditioning). Falls back to the mean if the points can't define a parabola.
+function localQuadratic(curve, lo, hi, x) {
+  const S = [0, 0, 0, 0, 0], T = [0, 0, 0];
+  for (let k = lo; k <= hi; k++) {
+    const d = curve[k].x - x, y = curve[k].y;
+    let pow = 1;
+    for (let e = 0; e <= 4; e++) {
+      S[e] += pow;
+      if (e <= 2) T[e] += pow * y;
+      pow *= d;
+    }
+  }
+  const coef = solveLinearSystem([[S[0], S[1], S[2]], [S[1], S[2], S[3]], [S[2], S[3], S[4]]], T);
+  return coef ? coef[0] : T[0] / S[0];
+}
+
+// Interpolating function through a sorted curve with distinct X values, or null with
+// fewer than 2 points. Outside the curve's X range it returns NaN (no extrapolation).
+function createInterpolator(curve, method = 'linear') {
+  const n = curve.length;
+  if (n < 2) return null;
+  const xs = curve.map(p => p.x), ys = curve.map(p => p.y);
+  const h = [], delta = [];
+  for (let i = 0; i < n - 1; i++) {
+    h.push(xs[i + 1] - xs[i]);
+    delta.push((ys[i + 1] - ys[i]) / h[i]);
+  }
+
+  // Slopes at the points for the cubic Hermite methods
+  let slopes = null;
+  if (method === 'monotone') slopes = monotoneSlopes(h, delta);
+  else if (method === 'spline') slopes = splineSlopes(h, delta);
+
+  return (x) => {
+    if (!(x >= xs[0] && x <= xs[n - 1])) return NaN;
+    // Binary search for the interval containing x
+    let lo = 0, hi = n - 2;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (xs[mid] <= x) lo = mid; else hi = mid - 1;
+    }
+    const t = (x - xs[lo]) / h[lo];
+    if (!slopes) return ys[lo] + t * (ys[lo + 1] - ys[lo]);
+    const t2 = t * t, t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * ys[lo] + (t3 - 2 * t2 + t) * h[lo] * slopes[lo]
+      + (-2 * t3 + 3 * t2) * ys[lo + 1] + (t3 - t2) * h[lo] * slopes[lo + 1];
+  };
+}
+
+// Fritsch-Carlson slopes: no overshoot, monotone wherever the data is
+function monotoneSlopes(h, delta) {
+  const n = h.length + 1;
+  const m = new Array(n);
+  m[0] = delta[0];
+  m[n - 1] = delta[n - 2];
+  for (let i = 1; i < n - 1; i++) {
+    if (delta[i - 1] * delta[i] <= 0) {
+      m[i] = 0;
+    } else {
+      // Weighted harmonic mean (Fritsch-Butland form)
+      const w1 = 2 * h[i] + h[i - 1], w2 = h[i] + 2 * h[i - 1];
+      m[i] = (w1 + w2) / (w1 / delta[i - 1] + w2 / delta[i]);
+    }
+  }
+  return m;
+}
+
+// Natural cubic spline (zero curvature at both ends), as first derivatives at the
+// points. Solves the tridiagonal system for the second derivatives.
+function splineSlopes(h, delta) {
+  const n = h.length + 1;
+  const M = new Array(n).fill(0); // second derivatives
+  if (n > 2) {
+    const a = [], b = [], c = [], d = [];
+    for (let i = 1; i < n - 1; i++) {
+      a.push(h[i - 1]);
+      b.push(2 * (h[i - 1] + h[i]));
+      c.push(h[i]);
+      d.push(6 * (delta[i] - delta[i - 1]));
+    }
+    // Thomas algorithm
+    const k = b.length;
+    for (let i = 1; i < k; i++) {
+      const f = a[i] / b[i - 1];
+      b[i] -= f * c[i - 1];
+      d[i] -= f * d[i - 1];
+    }
+    M[k] = d[k - 1] / b[k - 1];
+    for (let i = k - 2; i >= 0; i--) M[i + 1] = (d[i] - c[i] * M[i + 2]) / b[i];
+  }
+  const slopes = new Array(n);
+  for (let i = 0; i < n - 1; i++) slopes[i] = delta[i] - h[i] * (2 * M[i] + M[i + 1]) / 6;
+  slopes[n - 1] = delta[n - 2] + h[n - 2] * (M[n - 2] + 2 * M[n - 1]) / 6;
+  return slopes;
+}
+
+const MAX_GRID_POINTS = 100000; // more is a typo'd step, not a real grid
+
+// Number of X values in the uniform grid from start to end
+function uniformGridSize(start, end, step) {
+  if (!(step > 0) || !(end >= start)) return 0;
+  return Math.floor((end - start) / step + 1e-9) + 1;
+}
+
+// X values of a uniform grid from start to end (inclusive, within rounding)
+function uniformGrid(start, end, step) {
+  const count = uniformGridSize(start, end, step);
+  if (count > MAX_GRID_POINTS) return [];
+  const grid = [];
+  for (let i = 0; i < count; i++) grid.push(parseFloat((start + i * step).toPrecision(15)));
+  return grid;
+}
+
+// Numbers in a comma, semicolon or whitespace separated list; others are ignored
+function parseXList(text) {
+  return String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number).filter(isFinite);
+}
@@ -0,0 +1,168 @@
+/**
+ * Axis scale types
+ * Each scale maps a real axis value into the linear space used for interpolation, and back.
+ * Date/time axes hold epoch milliseconds, parsed from and formatted to text below.
+ */
+
+const AXIS_SCALES = {
+  linear: {
+    label: 'Linear',
+    toLinear: v => v,
+    fromLinear: t => t,
+    validate: () => null
+  },
+  log10: {
+    label: 'Log10',
+    toLinear: v => Math.log10(v),
+    fromLinear: t => Math.pow(10, t),
+    validate: v => (v > 0 ? null : 'must be greater than 0 on a log axis')
+  },
+  ln: {
+    label: 'Natural log (ln)',
+    toLinear: v => Math.log(v),
+    fromLinear: t => Math.exp(t),
+    validate: v => (v > 0 ? null : 'must be greater than 0 on a log axis')
+  },
+  reciprocal: {
+    label: 'Reciprocal (1/x)',
+    toLinear: v => 1 / v,
+    fromLinear: t => 1 / t,
+    validate: v => (v !== 0 ? null : 'cannot be 0 on a reciprocal axis')
+  },
+  date: {
+    label: 'Date/time',
+    toLinear: v => v,
+    fromLinear: t => t,
+    validate: v => (typeof v === 'number' && isFinite(v) ? null : 'must be a date or time, e.g. 2024-03-01 or 2024-03-01 12:30')
+  }
+};
+
+function getAxisScale(name) {
+  return AXIS_SCALES[name] || AXIS_SCALES.linear;
+}
+
+// --- Dates and times ---
+
+// How date/time values are written in the table and exports
+const DATE_FORMATS = {
+  datetime: 'Date and time (2024-03-01 12:30:00)',
+  date: 'Date (2024-03-01)',
+  time: 'Time (12:30:00)',
+  iso: 'ISO 8601 with offset',
+  excel: 'Excel serial day',
+  unix: 'Unix seconds'
+};
+
+const DAY_MS = 86400000;
+const EXCEL_EPOCH_DAYS = 25569; // Excel serial day of 1970-01-01
+
+// Calendar fields of an epoch time as seen in `timezone` ('local' or 'utc'), with the
+// zone's offset from UTC in minutes
+function dateFields(ms, timezone) {
+  const d = new Date(ms);
+  if (timezone === 'utc') {
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+      hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(), ms: d.getUTCMilliseconds(), offset: 0 };
+  }
+  return { year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate(),
+    hour: d.getHours(), minute: d.getMinutes(), second: d.getSeconds(), ms: d.getMilliseconds(), offset: -d.getTimezoneOffset() };
+}
+
+// Epoch time of a wall-clock time in `timezone`
+function wallTime(year, month, day, hour, minute, second, ms, timezone) {
+  if (timezone === 'utc') return Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  return new Date(year, month - 1, day, hour, minute, second, ms).getTime();
+}
+
+// Text (or a number, for the Excel and Unix formats) for an epoch time
+function formatDateTime(ms, format = 'datetime', timezone = 'local') {
+  if (typeof ms !== 'number' || !isFinite(ms)) return '';
+  if (format === 'unix') return ms / 1000;
+  const f = dateFields(ms, timezone);
+  if (format === 'excel') {
+    const wall = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second, f.ms);
+    return parseFloat((wall / DAY_MS + EXCEL_EPOCH_DAYS).toFixed(8));
+  }
+  const pad = (v, n = 2) => String(v).padStart(n, '0');
+  const date = `${pad(f.year, 4)}-${pad(f.month)}-${pad(f.day)}`;
+  const time = `${pad(f.hour)}:${pad(f.minute)}:${pad(f.second)}${f.ms ? `.${pad(f.ms, 3)}` : ''}`;
+  if (format === 'date') return date;
+  if (format === 'time') return time;
+  if (format === 'iso') {
+    if (timezone === 'utc') return `${date}T${time}Z`;
+    const off = Math.abs(f.offset);
+    return `${date}T${time}${f.offset < 0 ? '-' : '+'}${pad(Math.floor(off / 60))}:${pad(off % 60)}`;
+  }
+  return `${date} ${time}`;
+}
+
+// Epoch time for typed text, NaN if it isn't a date. Accepts ISO dates and times
+// (2024-03-01, 2024-03-01 12:30, 2024-03-01T12:30:00.5+02:00, 2024-03), a bare time
+// (12:30, on the date of `reference` if given), numbers in the Excel or Unix format
+// when that is the chosen `format`, and otherwise whatever Date.parse understands.
+// Times without an offset are read in `timezone`.
+function parseDateTime(text, { timezone = 'local', format = 'datetime', reference = NaN } = {}) {
+  if (typeof text === 'number') return text;
+  const str = String(text).trim();
+  if (str === '') return NaN;
+
+  if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(str)) {
+    const n = parseFloat(str);
+    if (format === 'unix') return n * 1000;
+    if (format === 'excel') {
+      const wall = new Date(Math.round((n - EXCEL_EPOCH_DAYS) * DAY_MS));
+      return wallTime(wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate(), wall.getUTCHours(),
+        wall.getUTCMinutes(), wall.getUTCSeconds(), wall.getUTCMilliseconds(), timezone);
+    }
+    if (!/^\d{4}$/.test(str)) return NaN; // a bare year is the only plain number taken as a date
+  }
+
+  const fraction = digits => (digits ? Math.round(parseFloat(`0.${digits}`) * 1000) : 0);
+  const full = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(str);
+  if (full) {
+    const [, y, mo = '1', d = '1', h = '0', mi = '0', sec = '0', frac, zone] = full;
+    const fields = [+y, +mo, +d, +h, +mi, +sec, fraction(frac)];
+    if (+mo < 1 || +mo > 12 || +d < 1 || +d > 31 || +h > 23 || +mi > 59 || +sec > 60) return NaN;
+    if (!zone) return wallTime(...fields, timezone);
+    const utc = wallTime(...fields, 'utc');
+    if (/^z$/i.test(zone)) return utc;
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    return utc - sign * (parseInt(digits.slice(0, 2)) * 60 + parseInt(digits.slice(2))) * 60000;
+  }
+
+  const time = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?$/.exec(str);
+  if (time) {
+    const [, h, mi, sec = '0', frac] = time;
+    if (+h > 23 || +mi > 59 || +sec > 60) return NaN;
+    const day = isFinite(reference) ? dateFields(reference, timezone) : { year: 1970, month: 1, day: 1 };
+    return wallTime(day.year, day.month, day.day, +h, +mi, +sec, fraction(frac), timezone);
+  }
+
+  const parsed = Date.parse(str);
+  return isFinite(parsed) ? parsed : NaN;
+}
+
+// Durations for date axis steps: 30s, 15min, 6h, 1d, 2w (ms, s, min, h, d, w); a bare
+// number is days. Returns milliseconds, NaN if not a duration.
+const DURATION_UNITS = { ms: 1, s: 1000, min: 60000, h: 3600000, d: DAY_MS, w: 7 * DAY_MS };
+
+function parseDuration(text) {
+  const m = /^(\d*\.?\d+)\s*(ms|s|min|h|d|w)?$/i.exec(String(text).trim());
+  return m ? parseFloat(m[1]) * DURATION_UNITS[(m[2] || 'd').toLowerCase()] : NaN;
+}
+
+// Shortest text for a duration in the largest unit that divides it
+function formatDuration(ms) {
+  for (const unit of ['w', 'd', 'h', 'min', 's']) {
+    if (ms >= DURATION_UNITS[unit] && ms % DURATION_UNITS[unit] === 0) return `${ms / DURATION_UNITS[unit]}${unit}`;
+  }
+  return `${ms}ms`;
+}
+
+// Column header note for dates written in `format`
+function dateFormatNote(format, timezone) {
+  if (format === 'unix') return 'Unix s';
+  const zone = timezone === 'utc' ? 'UTC' : 'local time';
+  return format === 'excel' ? `Excel serial, ${zone}` : zone;
+}
@@ -0,0 +1,109 @@
+/**
+ * Scan jobs
+ * One color matching / extraction request, described by plain data so it can run in
+ * scanworker.js or, where workers are unavailable (pages opened from file://), on the
+ * main thread. Masks are built in bands of rows with a pause between bands, which is
+ * where progress is reported and cancellation takes effect.
+ */
+
+// Pixels of one image, with its preprocessed copy cached per preprocessing options
+function createScanSource(pixels, width, height) {
+  return { pixels, width, height, processed: null };
+}
+
+function scanSourcePixels(source, preprocessing) {
+  if (!preprocessing || !Object.values(preprocessing).some(Boolean)) return source.pixels;
+  const key = JSON.stringify(preprocessing);
+  if (!source.processed || source.processed.key !== key) {
+    source.processed = { key, pixels: preprocessImage(source.pixels, source.width, source.height, preprocessing) };
+  }
+  return source.processed.pixels;
+}
+
+// Error a job rejects with when it was cancelled or superseded
+function scanCancelledError() {
+  const err = new Error('Scan cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+// Run `job` against `source`. Job fields:
+//   type          'mask', 'lines', 'markers', 'bars', 'trace' or 'palette'
+//   preprocessing options for preprocess.js
+//   bounds, excludes  scan region and regions to skip
+//   color         matcher spec (see createColorMatcher) for the mask
+//   errorColor    optional matcher spec; its mask is returned as errorMask
+//   columns (lines), seed (trace), options (markers, bars, trace, palette)
+// Resolves with { mask, count } for 'mask', { points } for lines/markers, { bars },
+// { path } or { palette }, plus errorMask when asked for. hooks: { onProgress(0-1), isCancelled() }
+function runScanJob(job, source, hooks = {}) {
+  const { width, height } = source;
+  const pixels = scanSourcePixels(source, job.preprocessing);
+  const bounds = job.bounds;
+
+  if (job.type === 'palette') {
+    return Promise.resolve({ palette: extractPalette(pixels, width, bounds, job.excludes, job.options) });
+  }
+
+  const specs = [job.color];
+  if (job.errorColor) specs.push(job.errorColor);
+  const masks = specs.map(() => new Uint8Array(width * height));
+  const matchers = specs.map(spec => createColorMatcher(spec));
+  const rows = bounds.endY - bounds.startY;
+  const band = Math.max(1, Math.floor(250000 / Math.max(1, bounds.endX - bounds.startX)));
+
+  return new Promise((resolve, reject) => {
+    let y = bounds.startY;
+    const step = () => {
+      if (hooks.isCancelled && hooks.isCancelled()) {
+        reject(scanCancelledError());
+        return;
+      }
+      if (y >= bounds.endY) {
+        try {
+          resolve(finishScanJob(job, width, masks));
+        } catch (err) {
+          reject(err);
+        }
+        return;
+      }
+      const rowBounds = { ...bounds, startY: y, endY: Math.min(bounds.endY, y + band) };
+      masks.forEach((mask, i) => buildMatchMask(pixels, width, height, rowBounds, job.excludes, matchers[i], mask));
+      y = rowBounds.endY;
+      if (hooks.onProgress) hooks.onProgress(rows > 0 ? (y - bounds.startY) / rows : 1);
+      setTimeout(step, 0);
+    };
+    step();
+  });
+}
+
+// Run the job's algorithm over the finished mask(s)
+function finishScanJob(job, width, masks) {
+  const [mask, errorMask] = masks;
+  const bounds = job.bounds;
+  let result;
+  switch (job.type) {
+    case 'mask': {
+      let count = 0;
+      for (let i = 0; i < mask.length; i++) count += mask[i];
+      result = { mask, count };
+      break;
+    }
+    case 'lines':
+      result = { points: scanColumns(mask, width, bounds, job.columns) };
+      break;
+    case 'markers':
+      result = { points: detectMarkers(mask, width, bounds, job.options) };
+      break;
+    case 'bars':
+      result = { bars: detectBars(mask, width, bounds, job.options) };
+      break;
+    case 'trace':
+      result = { path: traceCurve(mask, width, bounds, job.seed, job.options) };
+      break;
+    default:
+      throw new Error(`Unknown scan job type: ${job.type}`);
+  }
+  if (errorMask) result.errorMask = errorMask;
+  return result;
+}
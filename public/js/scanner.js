@@ -0,0 +1,149 @@
+/**
+ * Pixel scanner
+ * Page-side client for scanworker.js. Runs one scan job at a time: starting a job
+ * cancels the previous one, whose promise rejects with err.cancelled set. Falls back
+ * to running the jobs on the main thread (still in bands, so the page stays
+ * responsive) when workers can't be created, e.g. for pages opened from file://.
+ */
+
+class PixelScanner {
+  constructor(workerUrl) {
+    this.worker = null;
+    this.imageKey = null; // identity of the image whose pixels were sent
+    this._image = null; // { pixels, width, height } kept to resend after a fallback
+    this._source = null; // main-thread scan source in fallback mode
+    this._job = null; // { id, job, resolve, reject, onProgress } of the running job
+    this._nextId = 1;
+    this._cancelMain = null; // stops the running main-thread job
+    this._copies = new Map(); // id -> { preprocessing, resolve, reject } of copy requests
+
+    if (typeof Worker === 'undefined' || location.protocol === 'file:') return;
+    try {
+      this.worker = new Worker(workerUrl);
+    } catch (err) {
+      this.worker = null;
+      return;
+    }
+    this.worker.onmessage = (e) => this._onMessage(e.data);
+    // The script failed to load: carry on without the worker
+    this.worker.onerror = (e) => {
+      e.preventDefault();
+      this._fallBack();
+    };
+  }
+
+  get usesWorker() { return !!this.worker; }
+
+  // Pixels the following jobs scan; only sent again when `key` (the image) changes
+  setImage(key, pixels, width, height) {
+    if (key === this.imageKey) return;
+    this.imageKey = key;
+    this._image = { pixels, width, height };
+    this._source = null;
+    if (this.worker) this.worker.postMessage({ type: 'image', pixels, width, height });
+  }
+
+  // Run a scan job (see runScanJob); resolves with its result
+  run(job, onProgress) {
+    this.cancel();
+    return new Promise((resolve, reject) => {
+      this._job = { id: this._nextId++, job, resolve, reject, onProgress };
+      this._start(this._job);
+    });
+  }
+
+  // The preprocessed copy of the image's pixels (see preprocess.js), computed where the
+  // jobs run, so the page doesn't hold a second working set. Doesn't affect the
+  // running job.
+  preprocess(preprocessing) {
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++;
+      this._copies.set(id, { preprocessing, resolve, reject });
+      this._startCopy(id);
+    });
+  }
+
+  _startCopy(id) {
+    const request = this._copies.get(id);
+    if (this.worker) {
+      this.worker.postMessage({ type: 'preprocess', id, preprocessing: request.preprocessing });
+      return;
+    }
+    this._copies.delete(id);
+    try {
+      request.resolve(scanSourcePixels(this._mainSource(), request.preprocessing));
+    } catch (err) {
+      request.reject(err);
+    }
+  }
+
+  // Stop the running job, if any; its promise rejects with err.cancelled set
+  cancel() {
+    const running = this._job;
+    if (!running) return;
+    this._job = null;
+    if (this.worker) this.worker.postMessage({ type: 'cancel', id: running.id });
+    if (this._cancelMain) this._cancelMain();
+    running.reject(scanCancelledError());
+  }
+
+  _start(running) {
+    if (this.worker) {
+      this.worker.postMessage({ type: 'run', id: running.id, job: running.job });
+      return;
+    }
+    let stopped = false;
+    this._cancelMain = () => { stopped = true; };
+    runScanJob(running.job, this._mainSource(), {
+      onProgress: fraction => { if (running.onProgress) running.onProgress(fraction); },
+      isCancelled: () => stopped
+    }).then(result => this._finish(running.id, result, null), err => {
+      if (!err.cancelled) this._finish(running.id, null, err);
+    });
+  }
+
+  _mainSource() {
+    if (!this._source) {
+      const img = this._image;
+      this._source = createScanSource(img.pixels, img.width, img.height);
+    }
+    return this._source;
+  }
+
+  _onMessage(msg) {
+    if (msg.type === 'processed') {
+      const request = this._copies.get(msg.id);
+      this._copies.delete(msg.id);
+      if (request && msg.error) request.reject(new Error(msg.error));
+      else if (request) request.resolve(msg.pixels);
+      return;
+    }
+    const running = this._job;
+    if (!running || msg.id !== running.id) return; // a cancelled job's late messages
+    if (msg.type === 'progress') {
+      if (running.onProgress) running.onProgress(msg.fraction);
+    } else if (msg.type === 'done') {
+      this._finish(msg.id, msg.result, null);
+    } else if (msg.type === 'error') {
+      this._finish(msg.id, null, new Error(msg.message));
+    }
+  }
+
+  _finish(id, result, err) {
+    const running = this._job;
+    if (!running || running.id !== id) return;
+    this._job = null;
+    this._cancelMain = null;
+    if (err) running.reject(err);
+    else running.resolve(result);
+  }
+
+  // Drop the worker and rerun the pending job on the main thread
+  _fallBack() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    if (!this._image) return;
+    if (this._job) this._start(this._job);
+    [...this._copies.keys()].forEach(id => this._startCopy(id));
+  }
+}
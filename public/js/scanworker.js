@@ -0,0 +1,52 @@
+/**
+ * Scan worker
+ * Runs scan jobs (scanjob.js) off the main thread. The page sends the image pixels
+ * once per image; each job then only carries its settings. A new job supersedes the
+ * running one, which stops at its next band of rows.
+ *
+ * Messages in:  { type: 'image', pixels, width, height }
+ *               { type: 'run', id, job }   { type: 'cancel', id }
+ *               { type: 'preprocess', id, preprocessing }
+ * Messages out: { type: 'progress', id, fraction }   { type: 'done', id, result }
+ *               { type: 'cancelled', id }   { type: 'error', id, message }
+ *               { type: 'processed', id, pixels } or { type: 'processed', id, error }
+ */
+
+importScripts('color.js', 'preprocess.js', 'extract.js', 'scanjob.js');
+
+let source = null;
+let currentId = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'image') {
+    source = createScanSource(msg.pixels, msg.width, msg.height);
+  } else if (msg.type === 'preprocess') {
+    if (!source) {
+      self.postMessage({ type: 'processed', id: msg.id, error: 'No image loaded' });
+      return;
+    }
+    // A copy, so the worker keeps its cached one for the following jobs
+    const pixels = scanSourcePixels(source, msg.preprocessing).slice();
+    self.postMessage({ type: 'processed', id: msg.id, pixels }, [pixels.buffer]);
+  } else if (msg.type === 'cancel') {
+    if (currentId === msg.id) currentId = null;
+  } else if (msg.type === 'run') {
+    const id = msg.id;
+    currentId = id;
+    if (!source) {
+      self.postMessage({ type: 'error', id, message: 'No image loaded' });
+      return;
+    }
+    runScanJob(msg.job, source, {
+      onProgress: fraction => self.postMessage({ type: 'progress', id, fraction }),
+      isCancelled: () => currentId !== id
+    }).then(result => {
+      if (currentId === id) currentId = null;
+      const transfer = [result.mask, result.errorMask].filter(Boolean).map(m => m.buffer);
+      self.postMessage({ type: 'done', id, result }, transfer);
+    }).catch(err => {
+      self.postMessage(err.cancelled ? { type: 'cancelled', id } : { type: 'error', id, message: err.message });
+    });
+  }
+};
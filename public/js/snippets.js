@@ -0,0 +1,120 @@
+/**
+ * Analysis script snippets
+ * Python (NumPy/Matplotlib), MATLAB and R code that embeds the exported series as
+ * arrays and plots them with the graph's axis scales and names, as a starting point
+ * for analysis outside the browser. Date axes are embedded as epoch milliseconds and
+ * converted to each language's date type.
+ */
+
+const SCRIPT_LANGUAGES = {
+  python: { label: 'Python', extension: 'py' },
+  matlab: { label: 'MATLAB', extension: 'm' },
+  r: { label: 'R', extension: 'R' }
+};
+
+// Variable name for a series that is valid in all three languages and unique
+function scriptVariable(name, used) {
+  let base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!/^[a-z]/.test(base)) base = `series_${base}`.replace(/_+$/, '');
+  let candidate = base;
+  for (let i = 2; used.has(candidate); i++) candidate = `${base}_${i}`;
+  used.add(candidate);
+  return candidate;
+}
+
+// Numbers as a comma-separated list, wrapped every 8 values (`continuation` ends
+// the wrapped lines, for MATLAB where a bare line break starts a new matrix row)
+function scriptNumbers(values, indent, continuation = '') {
+  const lines = [];
+  for (let i = 0; i < values.length; i += 8) lines.push(values.slice(i, i + 8).map(String).join(', '));
+  return lines.join(`,${continuation}\n${indent}`);
+}
+
+// Source code for `language` (see SCRIPT_LANGUAGES) plotting [{ name, points }]
+function buildScript(language, seriesList, { axisScales = {}, axisNames = {}, source = '' } = {}) {
+  const used = new Set();
+  const series = seriesList.map(s => ({
+    name: s.name,
+    variable: scriptVariable(s.name, used),
+    xs: s.points.map(p => p.x),
+    ys: s.points.map(p => p.y)
+  }));
+  const logAxes = ['x', 'y'].filter(axis => axisScales[axis] === 'log10' || axisScales[axis] === 'ln');
+  const isDate = axis => axisScales[axis] === 'date';
+  const label = axis => axisNames[axis] || axis.toUpperCase();
+  const origin = `Data digitized${source ? ` from ${source}` : ''} with Graph Digitizer`;
+  const reciprocal = ['x', 'y'].filter(axis => axisScales[axis] === 'reciprocal');
+  const note = reciprocal.length > 0 ? `reciprocal ${reciprocal.join(' and ')} axis drawn linear here` : '';
+
+  if (language === 'matlab') {
+    const quote = str => `'${String(str).replace(/'/g, "''")}'`;
+    return [
+      `% ${origin}`,
+      ...(note ? [`% (${note})`] : []),
+      '',
+      ...series.flatMap(s => ['x', 'y'].map(axis => {
+        const values = `[${scriptNumbers(axis === 'x' ? s.xs : s.ys, '    ', ' ...')}]`;
+        return isDate(axis)
+          ? `${s.variable}_${axis} = datetime(${values} / 1000, 'ConvertFrom', 'posixtime', 'TimeZone', 'UTC');`
+          : `${s.variable}_${axis} = ${values};`;
+      }).concat([''])),
+      'figure; hold on;',
+      ...series.map(s => `plot(${s.variable}_x, ${s.variable}_y, 'o-', 'DisplayName', ${quote(s.name)});`),
+      ...logAxes.map(axis => `set(gca, '${axis.toUpperCase()}Scale', 'log');`),
+      `xlabel(${quote(label('x'))}); ylabel(${quote(label('y'))});`,
+      'legend show; hold off;',
+      ''
+    ].join('\n');
+  }
+
+  if (language === 'r') {
+    const quote = str => JSON.stringify(String(str));
+    const all = axis => `c(${series.map(s => `${s.variable}$${axis}`).join(', ')})`;
+    const column = (axis, values) => {
+      const list = `c(${scriptNumbers(values, isDate(axis) ? '                   ' : '        ')})`;
+      return isDate(axis) ? `as.POSIXct(${list} / 1000, origin = "1970-01-01", tz = "UTC")` : list;
+    };
+    // The first series sets up the plot (plot() picks a date axis for POSIXct values)
+    const [first, ...rest] = series;
+    return [
+      `# ${origin}`,
+      ...(note ? [`# (${note})`] : []),
+      '',
+      ...series.flatMap(s => [
+        `${s.variable} <- data.frame(`,
+        `  x = ${column('x', s.xs)},`,
+        `  y = ${column('y', s.ys)}`,
+        ')',
+        ''
+      ]),
+      `plot(${first.variable}$x, ${first.variable}$y, type = "o", col = 1, pch = 1,` +
+        ` xlim = range(${all('x')}), ylim = range(${all('y')}),` +
+        `${logAxes.length > 0 ? ` log = "${logAxes.join('')}",` : ''} xlab = ${quote(label('x'))}, ylab = ${quote(label('y'))})`,
+      ...rest.map((s, i) => `lines(${s.variable}$x, ${s.variable}$y, type = "o", col = ${i + 2}, pch = ${i + 2})`),
+      `legend("topright", legend = c(${series.map(s => quote(s.name)).join(', ')}), col = 1:${series.length}, pch = 1:${series.length}, lty = 1)`,
+      ''
+    ].join('\n');
+  }
+
+  // Python
+  const quote = str => JSON.stringify(String(str));
+  return [
+    `# ${origin}`,
+    ...(note ? [`# (${note})`] : []),
+    'import numpy as np',
+    'import matplotlib.pyplot as plt',
+    '',
+    ...series.flatMap(s => ['x', 'y'].map(axis => {
+      const values = `[${scriptNumbers(axis === 'x' ? s.xs : s.ys, '    ')}]`;
+      return `${s.variable}_${axis} = np.array(${values}${isDate(axis) ? ", dtype='datetime64[ms]'" : ''})`;
+    }).concat([''])),
+    'fig, ax = plt.subplots()',
+    ...series.map(s => `ax.plot(${s.variable}_x, ${s.variable}_y, 'o-', label=${quote(s.name)})`),
+    ...logAxes.map(axis => `ax.set_${axis}scale('log')`),
+    `ax.set_xlabel(${quote(label('x'))})`,
+    `ax.set_ylabel(${quote(label('y'))})`,
+    'ax.legend()',
+    'plt.show()',
+    ''
+  ].join('\n');
+}
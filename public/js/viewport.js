@@ -0,0 +1,187 @@
+/**
+ * Canvas viewport - mouse-wheel zoom, drag-to-pan and a magnifier loupe.
+ * Zoom only changes the canvas's CSS size; the canvas keeps the image's pixel
+ * size, so everything drawn by GraphDigitizer stays in image pixel coordinates.
+ */
+
+class CanvasViewport {
+  constructor(canvas, wrapper, loupe) {
+    this.canvas = canvas;
+    this.wrapper = wrapper;
+    this.loupe = loupe;
+    this.loupeCtx = loupe.getContext('2d');
+
+    this.zoom = 1;
+    this.minZoom = 0.05;
+    this.maxZoom = 32;
+    this.loupeEnabled = true;
+    this.loupeZoom = 4;
+
+    this.onZoom = null; // called with the new zoom level
+    // Whether an image is loaded; the canvas alone can't tell, it starts at 300×150
+    this.hasImage = () => false;
+
+    this._pan = null; // { x, y, scrollLeft, scrollTop } while dragging
+    this._didPan = false;
+    this._spaceDown = false;
+
+    wrapper.addEventListener('wheel', (e) => {
+      if (!this.hasImage()) return;
+      e.preventDefault();
+      const factor = Math.pow(1.0015, -e.deltaY);
+      this.setZoom(this.zoom * factor, e.clientX, e.clientY);
+    }, { passive: false });
+
+    // Pan with the middle mouse button, or Space + left button
+    canvas.addEventListener('mousedown', (e) => {
+      if (!this.isPanGesture(e)) return;
+      e.preventDefault();
+      this._pan = { x: e.clientX, y: e.clientY, scrollLeft: wrapper.scrollLeft, scrollTop: wrapper.scrollTop };
+      this._didPan = false;
+      canvas.classList.add('panning');
+    });
+    window.addEventListener('mousemove', (e) => {
+      if (!this._pan) return;
+      const dx = e.clientX - this._pan.x, dy = e.clientY - this._pan.y;
+      if (Math.abs(dx) + Math.abs(dy) > 2) this._didPan = true;
+      wrapper.scrollLeft = this._pan.scrollLeft - dx;
+      wrapper.scrollTop = this._pan.scrollTop - dy;
+    });
+    window.addEventListener('mouseup', () => {
+      if (!this._pan) return;
+      this._pan = null;
+      canvas.classList.remove('panning');
+    });
+
+    canvas.addEventListener('mousemove', (e) => this.updateLoupe(e));
+    canvas.addEventListener('mouseleave', () => this.hideLoupe());
+
+    window.addEventListener('keydown', (e) => {
+      if (e.code === 'Space' && !this._isTyping(e)) {
+        if (this.hasImage() && this._isHovered()) e.preventDefault();
+        this._spaceDown = true;
+      }
+    });
+    window.addEventListener('keyup', (e) => {
+      if (e.code === 'Space') this._spaceDown = false;
+    });
+    window.addEventListener('blur', () => { this._spaceDown = false; });
+  }
+
+  _isHovered() {
+    return this.canvas.matches(':hover');
+  }
+
+  _isTyping(e) {
+    const tag = e.target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+  }
+
+  isPanGesture(e) {
+    return e.button === 1 || (e.button === 0 && this._spaceDown);
+  }
+
+  // True once for the click that ends a pan drag, so it isn't treated as a pick
+  consumePanClick() {
+    const did = this._didPan || this._spaceDown;
+    this._didPan = false;
+    return did;
+  }
+
+  // Re-apply the CSS size after the canvas's pixel size changed (new image)
+  refresh() {
+    this.canvas.style.width = `${this.canvas.width * this.zoom}px`;
+    this.canvas.style.height = `${this.canvas.height * this.zoom}px`;
+    this.canvas.classList.toggle('pixelated', this.zoom >= 2);
+  }
+
+  // Zoom keeping the image point under (clientX, clientY) fixed; defaults to the view center
+  setZoom(zoom, clientX, clientY) {
+    zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    const wrapRect = this.wrapper.getBoundingClientRect();
+    if (clientX === undefined) {
+      clientX = wrapRect.left + this.wrapper.clientWidth / 2;
+      clientY = wrapRect.top + this.wrapper.clientHeight / 2;
+    }
+    const rect = this.canvas.getBoundingClientRect();
+    const ix = (clientX - rect.left) / this.zoom;
+    const iy = (clientY - rect.top) / this.zoom;
+    const oldZoom = this.zoom;
+    const scrollLeft = this.wrapper.scrollLeft, scrollTop = this.wrapper.scrollTop;
+
+    this.zoom = zoom;
+    this.refresh();
+    this.wrapper.scrollLeft = scrollLeft + ix * (zoom - oldZoom);
+    this.wrapper.scrollTop = scrollTop + iy * (zoom - oldZoom);
+    if (this.onZoom) this.onZoom(zoom);
+  }
+
+  // Zoom so the whole image width fits the wrapper (never enlarges past 100%)
+  fit() {
+    if (!this.hasImage()) return;
+    const available = this.wrapper.clientWidth;
+    this.zoom = Math.min(1, available / this.canvas.width);
+    this.refresh();
+    this.wrapper.scrollLeft = 0;
+    this.wrapper.scrollTop = 0;
+    if (this.onZoom) this.onZoom(this.zoom);
+  }
+
+  // Map a mouse event to image pixel coordinates at the current zoom.
+  // Integer pixel index by default; with subpixel=true a fractional position
+  // where pixel centers fall on whole numbers (for precise calibration clicks).
+  toImageCoords(e, subpixel = false) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    if (subpixel) {
+      return { x: Math.round((x - 0.5) * 100) / 100, y: Math.round((y - 0.5) * 100) / 100 };
+    }
+    return {
+      x: Math.max(0, Math.min(this.canvas.width - 1, Math.floor(x))),
+      y: Math.max(0, Math.min(this.canvas.height - 1, Math.floor(y)))
+    };
+  }
+
+  setLoupeEnabled(enabled) {
+    this.loupeEnabled = enabled;
+    if (!enabled) this.hideLoupe();
+  }
+
+  // Magnified view of the canvas around the cursor, with a crosshair at the hot spot
+  updateLoupe(e) {
+    if (!this.loupeEnabled || this._pan || !this.hasImage()) {
+      this.hideLoupe();
+      return;
+    }
+    const size = this.loupe.width;
+    const p = this.toImageCoords(e, true);
+    const span = size / (this.loupeZoom * Math.max(1, this.zoom));
+    const ctx = this.loupeCtx;
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, size, size);
+    ctx.drawImage(this.canvas, p.x + 0.5 - span / 2, p.y + 0.5 - span / 2, span, span, 0, 0, size, size);
+
+    ctx.strokeStyle = 'rgba(225, 29, 72, 0.9)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(size / 2 + 0.5, 0); ctx.lineTo(size / 2 + 0.5, size);
+    ctx.moveTo(0, size / 2 + 0.5); ctx.lineTo(size, size / 2 + 0.5);
+    ctx.stroke();
+
+    // Follow the cursor, flipping sides near the window edge
+    const offset = 24;
+    let left = e.clientX + offset, top = e.clientY + offset;
+    if (left + size > window.innerWidth) left = e.clientX - offset - size;
+    if (top + size > window.innerHeight) top = e.clientY - offset - size;
+    this.loupe.style.left = `${left}px`;
+    this.loupe.style.top = `${top}px`;
+    this.loupe.classList.remove('hidden');
+  }
+
+  hideLoupe() {
+    this.loupe.classList.add('hidden');
+  }
+}
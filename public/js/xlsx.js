@@ -0,0 +1,179 @@
+/**
+ * XLSX writer
+ * Builds an Office Open XML workbook (.xlsx): the minimal set of XML parts in an
+ * uncompressed ZIP archive. Each sheet is { name, header, rows }; numbers become numeric
+ * cells, anything else inline strings. Sheet names must already be valid and unique
+ * (see sheetName in export.js).
+ */
+
+// CRC-32 (IEEE) lookup table for the ZIP entries
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ZIP archive of [{ name, data }] (data: string, written as UTF-8, or Uint8Array),
+// with every entry stored uncompressed
+function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  // MS-DOS date and time fields
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const chunks = [], central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true); // version needed (2.0)
+    local.setUint16(6, 0x0800, true); // flags: UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // compressed size
+    local.setUint32(22, data.length, true); // uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // extra field length
+    chunks.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true); // central directory signature
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true); // version needed
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    // extra, comment, disk number, attributes: all zero
+    entry.setUint32(42, offset, true); // local header offset
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // end of central directory signature
+  end.setUint16(8, files.length, true); // entries on this disk
+  end.setUint16(10, files.length, true); // entries in total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // central directory offset
+
+  const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+  const zip = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    zip.set(part, pos);
+    pos += part.length;
+  }
+  return zip;
+}
+
+// Text for XML content: escaped, without the control characters XML can't hold
+function xlsxText(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+function xlsxColumn(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+function xlsxCell(value, ref, style) {
+  const s = style ? ` s="${style}"` : '';
+  if (value === '' || value === null || value === undefined) return '';
+  if (typeof value === 'number') {
+    return isFinite(value) ? `<c r="${ref}"${s}><v>${value}</v></c>` : '';
+  }
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xlsxText(value)}</t></is></c>`;
+}
+
+// One worksheet: bold header row, frozen so it stays visible while scrolling
+function xlsxSheet(sheet) {
+  const rows = [sheet.header].concat(sheet.rows).map((row, r) =>
+    `<row r="${r + 1}">${row.map((v, c) => xlsxCell(v, xlsxColumn(c) + (r + 1), r === 0 ? 1 : 0)).join('')}</row>`);
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '</sheetView></sheetViews>' +
+    `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+}
+
+// The .xlsx file for [{ name, header, rows }], as bytes
+function buildXlsx(sheets) {
+  const ns = 'http://schemas.openxmlformats.org';
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const files = [];
+
+  files.push({
+    name: '[Content_Types].xml',
+    data: xml + `<Types xmlns="${ns}/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>'
+  });
+  files.push({
+    name: '_rels/.rels',
+    data: xml + `<Relationships xmlns="${ns}/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>'
+  });
+  files.push({
+    name: 'xl/workbook.xml',
+    data: xml + `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>` +
+      sheets.map((s, i) => `<sheet name="${xlsxText(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+      '</sheets></workbook>'
+  });
+  files.push({
+    name: 'xl/_rels/workbook.xml.rels',
+    data: xml + `<Relationships xmlns="${ns}/package/2006/relationships">` +
+      sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>'
+  });
+  // Style 0: default, style 1: bold (header rows)
+  files.push({
+    name: 'xl/styles.xml',
+    data: xml + `<styleSheet xmlns="${ns}/spreadsheetml/2006/main">` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>'
+  });
+  sheets.forEach((sheet, i) => files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: xlsxSheet(sheet) }));
+
+  return createZip(files);
+}